@@ -21,6 +21,22 @@
  *
  * FILE DEPENDENCIES:
  * - routes/db.js: Database utility functions for formatting listings
+ * - routes/sparkClient.js: Spark API client (token, retries, circuit breaker)
+ * - routes/searchQuery.js: Parameterized search query builder
+ * - routes/schema.js: Indexes/tables created on startup
+ * - routes/facets.js: Per-option result counts for the search filters
+ * - routes/nlSearch.js: Rule-based free-text search parser
+ * - routes/currency.js: USD/MXN exchange rates and price conversion
+ * - routes/amenities.js: Controlled vocabulary of amenity tags
+ * - routes/propertyTypes.js: Property type categories mapped to MLS labels
+ * - routes/listingStatus.js: Listing statuses (active, pending, sold...) mapped to MLS values
+ * - routes/locationGroups.js: Admin-configured named groups of locations
+ * - routes/locationSuggest.js: Ranked location typeahead suggestions
+ * - routes/locationAliases.js: Local names for places ("SJD", "Cabo")
+ * - routes/locationDisambiguation.js: "Did you mean" candidates for unclear locations
+ * - routes/locationTree.js: City -> area -> subdivision tree with counts and medians
+ * - routes/listingSync.js: Spark /listings sync into mls_properties (npm run sync-listings)
+ * - routes/listingHistory.js: Price and status history per listing
  * - form.html: Frontend user interface
  * - public/styles.css: CSS styling
  * =============================================================================
@@ -42,6 +58,7 @@ const bodyParser = require('body-parser');    // Parse incoming request bodies
 const { Client } = require('pg');             // PostgreSQL client for database queries
 const path = require('path');                 // File path utilities
 const fs = require('fs');                     // File system operations
+const crypto = require('crypto');             // Random page tokens for browser sessions
 
 // =============================================================================
 // ENVIRONMENT MODE DETECTION (Early - needed for Redis setup)
@@ -59,13 +76,165 @@ console.log(`-------✅ Running in ${isLocalMode ? 'LOCAL' : 'PRODUCTION'} mode`
  * - formatListings: Basic HTML formatting
  * - formatListingsMap: Includes map data with listings
  * - formatListingsRaw: Returns JSON with photos/tours attached
+ * - purgeListingDetails: Drops cached photos/tours/open houses (DETAIL_FRESHNESS
+ *   lists the fields)
  */
 const {
     formatListings,
     formatListingsMap,
-    formatListingsRaw
+    formatListingsRaw,
+    DETAIL_FRESHNESS,
+    purgeListingDetails
   } = require('./routes/db');
 
+/**
+ * Import the parameterized search query builder (routes/searchQuery.js)
+ * - validateSearchFilters: Normalizes and validates the raw search body
+ * - buildSearchQuery: Builds the parameterized SELECT for fetchProperties
+ * - isListingId/buildListingQuery: Checks an id and selects one listing for GET /listings/:id
+ * - buildCountQuery/buildPagination: Total count and page info for the same filters
+ * - createQueryParams/locationClause: Used by /test-location-match previews
+ */
+const {
+    validateSearchFilters,
+    buildSearchQuery,
+    isListingId,
+    buildListingQuery,
+    buildCountQuery,
+    buildPagination,
+    createQueryParams,
+    locationClause
+  } = require('./routes/searchQuery');
+
+/**
+ * Import the schema setup (routes/schema.js)
+ * - ensureSchema: Creates missing columns/tables (idempotent, awaited before listening)
+ */
+const { ensureSchema } = require('./routes/schema');
+
+/**
+ * Import the migration check (routes/migrations.js)
+ * - pendingMigrations: One-off migrations not applied yet (npm run migrate)
+ */
+const { pendingMigrations } = require('./routes/migrations');
+
+/**
+ * Import the facet counter (routes/facets.js)
+ * - computeFacets: Listing counts per filter option for POST /facets
+ */
+const { computeFacets } = require('./routes/facets');
+
+/**
+ * Import the natural-language parser (routes/nlSearch.js)
+ * - parseSearchText: Compiles "3 bed house under 600k" into /search filters
+ */
+const { parseSearchText } = require('./routes/nlSearch');
+
+/**
+ * Import currency helpers (routes/currency.js)
+ * - loadExchangeRates: Cached rates from the exchange_rates table
+ * - convertListingPrices: Converts returned prices, keeping the listed price
+ * - setExchangeRate: Used by PUT /exchange-rates/:currency
+ */
+const {
+    BASE_CURRENCY,
+    SUPPORTED_CURRENCIES,
+    loadExchangeRates,
+    convertListingPrices,
+    setExchangeRate
+} = require('./routes/currency');
+
+/**
+ * Import the amenity vocabulary (routes/amenities.js)
+ * - amenityVocabulary: Tags, labels and icons listed by GET /amenities
+ */
+const { amenityVocabulary } = require('./routes/amenities');
+
+/**
+ * Import the property type taxonomy (routes/propertyTypes.js)
+ * - propertyTypeVocabulary: Categories listed by GET /property-types
+ */
+const { propertyTypeVocabulary } = require('./routes/propertyTypes');
+
+/**
+ * Import the listing status vocabulary (routes/listingStatus.js)
+ * - listingStatusVocabulary: Statuses listed by GET /listing-statuses
+ */
+const { listingStatusVocabulary } = require('./routes/listingStatus');
+
+/**
+ * Import location groups (routes/locationGroups.js)
+ * - loadLocationGroups/findLocationGroup: Expand group names in resolveLocations()
+ * - parseGroupPattern: Group members that are LIKE patterns skip the matcher
+ * - clearLocationGroupCache: Used by POST /locations/refresh
+ * - validateLocationGroup/saveLocationGroup/deleteLocationGroup: Admin endpoints
+ */
+const {
+    loadLocationGroups,
+    findLocationGroup,
+    parseGroupPattern,
+    clearLocationGroupCache,
+    validateLocationGroup,
+    saveLocationGroup,
+    deleteLocationGroup
+} = require('./routes/locationGroups');
+
+/**
+ * Import the location typeahead (routes/locationSuggest.js)
+ * - suggestLocations: Ranks suggestions for GET /locations/suggest
+ * - levenshteinDistance/foldLocationText: Fuzzy and accent-insensitive
+ *   matching in areaCitySubdivisionMatch()
+ */
+const {
+    DEFAULT_SUGGESTION_LIMIT,
+    MAX_SUGGESTION_LIMIT,
+    MAX_SUGGEST_QUERY_LENGTH,
+    foldLocationText,
+    levenshteinDistance,
+    suggestLocations
+} = require('./routes/locationSuggest');
+
+/**
+ * Import location aliases (routes/locationAliases.js)
+ * - loadLocationAliases/findLocationAlias: Checked first by areaCitySubdivisionMatch()
+ * - validateLocationAlias/saveLocationAlias/deleteLocationAlias: Admin endpoints
+ */
+const {
+    loadLocationAliases,
+    findLocationAlias,
+    clearLocationAliasCache,
+    validateLocationAlias,
+    saveLocationAlias,
+    deleteLocationAlias
+} = require('./routes/locationAliases');
+
+/**
+ * Import location disambiguation (routes/locationDisambiguation.js)
+ * - buildDidYouMean: Candidates returned by /search for unclear locations
+ * - pinnedLocationMatch: Match result for a location picked from the chooser
+ */
+const { buildDidYouMean, pinnedLocationMatch } = require('./routes/locationDisambiguation');
+
+/**
+ * Import the location hierarchy (routes/locationTree.js)
+ * - computeLocationTree: Tree returned by GET /locations/tree
+ * - clearLocationTreeCache: Used by POST /locations/refresh
+ */
+const { MAX_TREE_DEPTH, computeLocationTree, clearLocationTreeCache } = require('./routes/locationTree');
+
+/**
+ * Import the listing sync (routes/listingSync.js)
+ * - listSyncRuns: Recent runs for GET /listing-sync-runs (the sync itself runs
+ *   from scripts/syncListings.js)
+ */
+const { listSyncRuns } = require('./routes/listingSync');
+
+/**
+ * Import the price history reader (routes/listingHistory.js)
+ * - loadListingHistory: Changes returned by GET /listings/:id/history
+ */
+const { loadListingHistory } = require('./routes/listingHistory');
+
 // Initialize Express application
 const app = express();
 
@@ -193,17 +362,40 @@ app.use(bodyParser.urlencoded({ extended: true }));
 // =============================================================================
 // API TOKEN AUTHENTICATION MIDDLEWARE
 // =============================================================================
+/**
+ * readToken - Token sent via "Authorization: Bearer <token>" or "x-api-token"
+ */
+const readToken = (req) => req.headers['authorization']?.replace('Bearer ', '')
+                            || req.headers['x-api-token'];
+
+/**
+ * issuePageToken - Token the browser page uses for protected endpoints
+ * -----------------------------------------------------------------------------
+ * Created once per session by GET / and injected into form.html as
+ * API_TOKEN, so the server token (MLS_API_TOKEN) never reaches the browser.
+ * Because it has to be sent as a header, other sites can't use the session
+ * cookie to call the API.
+ */
+const issuePageToken = (req) => {
+    if (!req.session.pageToken) {
+        req.session.pageToken = crypto.randomBytes(24).toString('hex');
+    }
+    return req.session.pageToken;
+};
+
 /**
  * Security middleware that validates API tokens for protected endpoints.
  * Tokens can be provided via:
  * - Authorization header: "Bearer <token>"
  * - Custom header: "x-api-token: <token>"
  *
+ * Accepts MLS_API_TOKEN (server-to-server clients) or the page token issued
+ * to the caller's session by GET / (form.html).
+ *
  * This prevents unauthorized access to the search API.
  */
 const validateToken = (req, res, next) => {
-    const token = req.headers['authorization']?.replace('Bearer ', '')
-                  || req.headers['x-api-token'];
+    const token = readToken(req);
 
     if (!token) {
         return res.status(401).json({
@@ -212,7 +404,8 @@ const validateToken = (req, res, next) => {
         });
     }
 
-    if (token !== process.env.MLS_API_TOKEN) {
+    const pageToken = req.session && req.session.pageToken;
+    if (token !== process.env.MLS_API_TOKEN && !(pageToken && token === pageToken)) {
         return res.status(403).json({
             success: false,
             message: 'Invalid API token'
@@ -222,6 +415,38 @@ const validateToken = (req, res, next) => {
     next();  // Token is valid, proceed to the route handler
 };
 
+/**
+ * Admin middleware for endpoints that change shared data (location groups
+ * and aliases, exchange rates, caches). Only ADMIN_API_TOKEN is accepted,
+ * never the search token or a page token, and the endpoints are disabled
+ * while ADMIN_API_TOKEN is not set.
+ */
+const validateAdminToken = (req, res, next) => {
+    if (!process.env.ADMIN_API_TOKEN) {
+        return res.status(503).json({
+            success: false,
+            message: 'Admin endpoints are disabled (ADMIN_API_TOKEN is not set)'
+        });
+    }
+
+    const token = readToken(req);
+    if (!token) {
+        return res.status(401).json({
+            success: false,
+            message: 'No admin token provided'
+        });
+    }
+
+    if (token !== process.env.ADMIN_API_TOKEN) {
+        return res.status(403).json({
+            success: false,
+            message: 'Invalid admin token'
+        });
+    }
+
+    next();
+};
+
 // =============================================================================
 // STATIC FILE SERVING
 // =============================================================================
@@ -262,15 +487,34 @@ const client = new Client({
     })
 });
 
-// Connect to database with proper error handling
-client.connect()
-    .then(() => {
-        console.log(`-------✅ Database connected: ${isLocalMode ? 'Local (no SSL)' : 'Remote (SSL)'}`);
-    })
+/**
+ * Connect and create any missing columns/tables before the server starts
+ * listening (see SERVER STARTUP): searches rely on them, so the process exits
+ * if either step fails. Migrations not applied yet are only reported.
+ */
+const databaseReady = client.connect()
     .catch((err) => {
         console.error('-------❌ Database connection failed:', err.message);
         console.error('Connection string used:', connectionString ? 'Set (hidden)' : 'UNDEFINED - check DATABASE_URL env var');
         process.exit(1);  // Exit if database connection fails
+    })
+    .then(async () => {
+        console.log(`-------✅ Database connected: ${isLocalMode ? 'Local (no SSL)' : 'Remote (SSL)'}`);
+
+        try {
+            await ensureSchema(client);
+        } catch (err) {
+            console.error('-------❌ Schema setup failed:', err.message);
+            process.exit(1);
+        }
+
+        // Pending migrations are only reported; the server starts either way
+        try {
+            const pending = await pendingMigrations(client);
+            pending.forEach(migration => console.log(`-------⚠️ Migration ${migration.id} not applied, run npm run migrate: ${migration.description}`));
+        } catch (err) {
+            console.error('-------⚠️ Could not check for pending migrations:', err.message);
+        }
     });
 
 // =============================================================================
@@ -303,12 +547,14 @@ if (redisClient) {
  */
 console.log("-------✅ IN index.js - setting up default search params ----------------------");
 const defaultParams = {
-    propertyType: '',   // e.g., "Single Family Residence", "Condo"
+    propertyType: '',   // e.g., "Houses", "Condos" (see routes/propertyTypes.js)
     location: '',       // MLS area or region
     priceRange: '',     // Format: "minPrice-maxPrice"
     bedrooms: '',       // Minimum number of bedrooms
     bathrooms: '',      // Minimum number of bathrooms
-    page: 1             // Pagination page number
+    sort: 'priceDesc',  // Sort order key (see SORT_OPTIONS in routes/searchQuery.js)
+    page: 1,            // Pagination page number
+    pageSize: 50        // Listings per page (max 100)
 };
 
 // =============================================================================
@@ -324,12 +570,14 @@ const defaultParams = {
  * 1. Reads query parameters from the URL (e.g., /?propertyType=Condo)
  * 2. Retrieves any cached listings from the user's session
  * 3. Reads the form.html template file
- * 4. Injects the listings data and parameters into the HTML
+ * 4. Injects the listings data, parameters and page token into the HTML
  * 5. Sends the modified HTML to the browser
  *
  * TEMPLATE PLACEHOLDERS:
  * - <script>XXXXXX</script> → Replaced with SAMPLE_LISTINGS array
  * - <script>PARAMS</script> → Replaced with search parameters
+ * - <script>APITOKEN</script> → Replaced with API_TOKEN, this session's page
+ *   token (see issuePageToken) for /search, /facets and /search/parse
  *
  * CONNECTION TO FRONTEND:
  * The frontend (form.html) uses these injected variables to:
@@ -345,6 +593,7 @@ app.get('/', async (req, res) => {
 
         // Retrieve listings from session (cached from previous searches)
         const listings = req.session.listings || [];
+        const pageToken = issuePageToken(req);
 
         // Read the HTML template file
         fs.readFile(path.join(__dirname, 'form.html'), 'utf8', (err, html) => {
@@ -356,7 +605,8 @@ app.get('/', async (req, res) => {
             // Inject data into the HTML template by replacing placeholder scripts
             const modifiedHtml = html
                 .replace('<script>XXXXXX</script>', `<script>let SAMPLE_LISTINGS = ${JSON.stringify(listings)};</script>`)
-                .replace('<script>PARAMS</script>', `<script>let PARAMS = "${JSON.stringify(params)}";</script>`);
+                .replace('<script>PARAMS</script>', `<script>let PARAMS = "${JSON.stringify(params)}";</script>`)
+                .replace('<script>APITOKEN</script>', `<script>const API_TOKEN = ${JSON.stringify(pageToken)};</script>`);
 
             // Send the complete HTML page to the browser
             res.send(modifiedHtml);
@@ -388,64 +638,819 @@ app.post('/test-cors', (req, res) => {
  *
  * REQUEST BODY (JSON):
  * {
- *   propertyType: "Single Family Residence",  // Property type filter
- *   location: "La Paz",                       // Area/region filter
+ *   propertyType: ["Houses", "Condos"],       // Categories from GET /property-types (a single
+ *                                             // string or raw MLS label also works)
+ *   status: ["active", "sold"],               // Statuses from GET /listing-statuses
+ *                                             // (default active + comingSoon)
+ *   location: ["SJD-East", "Pedregal"],       // Cities/areas/subdivisions or location group
+ *                                             // names, combined with OR (a string also works)
+ *   blendLocations: false,                    // true = search every candidate of an ambiguous
+ *                                             // location instead of returning didYouMean
+ *   keyword: "ocean view palapa",             // Full-text search (English + Spanish)
  *   priceRange: "100000-500000",              // Price range (min-max)
+ *   minPrice: 150000, maxPrice: 450000,       // Explicit price bounds (override priceRange)
+ *   minArea: 100, maxArea: 300,               // buildingareatotal range (m²)
+ *   minLotSize: 500, maxLotSize: 2000,        // lotsizearea range
+ *   minYearBuilt: 2005, maxYearBuilt: 2020,   // yearbuilt range
+ *   minRooms: 4, maxRooms: 8,                 // roomstotal range
+ *   minPricePerM2: 1500, maxPricePerM2: 3000, // Price per m² of building area
+ *   north: 23.10, south: 22.85,               // Map viewport bounding box
+ *   east: -109.60, west: -109.95,             // (all four edges or none)
+ *   polygon: [[23.05, -109.70], ...],         // Hand-drawn polygon ([lat, lng], 3+ points)
+ *   radius: { lat: 23.06, lng: -109.69, km: 2 }, // Within N km of a point
  *   bedrooms: 3,                              // Minimum bedrooms
  *   bathrooms: 2,                             // Minimum bathrooms
  *   cfe: true,                                // Has CFE electric (Mexican power)
  *   pool: true,                               // Has pool
  *   newListing: true,                         // Only new listings
  *   priceReduced: true,                       // Only price-reduced listings
+ *   reducedWithinDays: 14,                    // Price dropped in the last N days (1-365)
+ *   minReductionPercent: 10,                  // Price at least N% below its highest (max 99)
  *   openHouse: true,                          // Has open house scheduled
- *   virtualTour: true                         // Has virtual tour available
+ *   virtualTour: true,                        // Has virtual tour available
+ *   amenities: ["solar", "oceanView"],        // Required amenity tags (see GET /amenities)
+ *   excludeAmenities: ["furnished"],          // Amenity tags to leave out
+ *   currency: "MXN",                          // USD (default) or MXN - for price filters and returned prices
+ *   sort: "priceAsc",                         // Sort order (see SORT OPTIONS below)
+ *   page: 2,                                  // Page number (default 1)
+ *   pageSize: 50                              // Listings per page (default 50, max 100)
  * }
  *
+ * SORT OPTIONS (ties are always broken by listing id):
+ * - priceDesc (default), priceAsc
+ * - newest: Most recently entered listings first
+ * - relevance: Best full-text match first (default when keyword is sent)
+ * - recentlyReduced: "Price Reduced" listings first, latest change first
+ * - largest: Largest buildingareatotal first
+ * - pricePerM2Asc, pricePerM2Desc: Price per m² of building area
+ * - yearBuiltDesc, yearBuiltAsc
+ * - recentlySold: Latest closedate first (with status "sold")
+ *
  * RESPONSE (JSON):
  * {
  *   success: true,
- *   data: [array of property listings with photos]
+ *   data: [array of property listings with photos],
+ *                      // keyword searches add searchRank and searchSnippet
+ *                      // (plain text, matched words between the
+ *                      // SNIPPET_MARKERS of routes/searchQuery.js)
+ *                      // amenityTags lists each listing's derived tags,
+ *                      // propertyCategory its taxonomy category (or null)
+ *                      // listingStatus its status (active, comingSoon,
+ *                      // pending, sold); sold listings have closeprice
+ *                      // (converted) and closedate
+ *                      // currentpricepublic is in the requested currency;
+ *                      // originalPrice/originalCurrency keep the listed price
+ *                      // previousPrice/priceReducedAt describe the latest
+ *                      // price drop (null if none); daysOnMarket counts
+ *                      // from originalentrytimestamp
+ *   currency: "MXN",
+ *   pagination: {
+ *     total: 237,        // Listings matching the filters across all pages
+ *     page: 2,
+ *     pageSize: 50,
+ *     pageCount: 5,
+ *     hasMore: true      // Whether a later page exists
+ *   }
+ * }
+ *
+ * RESPONSE (200 - a location needs confirmation, no search was run):
+ * {
+ *   success: true, data: [], pagination: { total: 0, ... }, currency: "USD",
+ *   didYouMean: [{
+ *     input: "Centro",
+ *     reason: "ambiguous",          // or "lowConfidence" (fuzzy match below
+ *                                   // LOCATION_CONFIRM_CONFIDENCE, default 0.8)
+ *     confidence: 1,
+ *     candidates: [{
+ *       location: { level: "subdivision", value: "Centro", mlsareamajor: "CSL-Centro", city: "Cabo San Lucas" },
+ *       level, value, mlsareamajor, city,
+ *       label: "Centro, CSL-Centro, Cabo San Lucas",
+ *       count: 12                   // Listings in that place
+ *     }]
+ *   }]
+ * }
+ * Re-send the search with the chosen candidate's `location` object in place
+ * of the input text.
+ *
+ * RESPONSE (400 - invalid filters):
+ * {
+ *   success: false,
+ *   message: "Invalid search filters",
+ *   errors: ["bedrooms must be a whole number"]
  * }
  *
  * FLOW:
  * 1. validateToken middleware checks API token
- * 2. fetchProperties() queries database with filters
- * 3. formatListingsRaw() enriches listings with photos/tours from Spark API
- * 4. Returns JSON response to frontend
+ * 2. validateSearchFilters() normalizes the request body
+ * 3. fetchProperties() queries database with filters
+ * 4. formatListingsRaw() enriches listings with photos/tours from Spark API
+ * 5. Returns JSON response to frontend
  */
 app.post('/search', validateToken, async (req, res) => {
     console.log("-------✅ IN index.js - setting up /search post endpoint ----------------------");
+    await handleSearch(req, res);
+});
+
+/**
+ * POST /searchOrig - Original Search Endpoint (PROTECTED - Legacy)
+ * -----------------------------------------------------------------------------
+ * Same as /search, kept for backwards compatibility but should be deprecated.
+ *
+ * SECURITY: Requires valid API token (validateToken middleware), like
+ * /search, because a search can fetch listing details from the Spark API
+ */
+app.post('/searchOrig', validateToken, async (req, res) => {
+    console.log("-------✅ IN index.js - setting up /searchOrig post endpoint ----------------------");
+    await handleSearch(req, res);
+});
+
+/**
+ * handleSearch - Shared request handler for /search and /searchOrig
+ * -----------------------------------------------------------------------------
+ * Validates the request body, runs fetchProperties() and sends the response.
+ * Invalid filters are rejected with 400 before any SQL is built.
+ */
+async function handleSearch(req, res) {
     console.log('body is');
     console.log(req.body);
+
+    const { filters, errors } = validateSearchFilters(req.body);
+    if (errors.length > 0) {
+        return res.status(400).json({ success: false, message: 'Invalid search filters', errors });
+    }
+
     try {
-        const listings = await fetchProperties(req);
+        const { listings, pagination, didYouMean } = await fetchProperties(req, filters);
+        if (didYouMean) {
+            return res.status(200).json({ success: true, data: [], pagination, currency: filters.currency, didYouMean });
+        }
         console.log('RETURNING listings from Endpoint:');
-        console.log(listings.length);
-        res.status(200).json({ success: true, data: listings });
+        console.log(`${listings.length} of ${pagination.total} (page ${pagination.page}/${pagination.pageCount})`);
+        res.status(200).json({ success: true, data: listings, pagination, currency: filters.currency });
     } catch (err) {
         console.error('Error fetching listings:', err);
         res.status(500).json({ success: false, message: 'Error retrieving listings', error: err.message });
     }
+}
+
+/**
+ * POST /facets - Result Counts Per Filter Option (PROTECTED)
+ * -----------------------------------------------------------------------------
+ * Takes the same body as /search and returns how many listings each filter
+ * option would return. Each facet is computed with every OTHER active filter
+ * applied, so the counts show what changing that one filter would do.
+ *
+ * SECURITY: Requires valid API token (validateToken middleware)
+ *
+ * RESPONSE (JSON):
+ * {
+ *   success: true,
+ *   total: 128,                 // Listings matching all active filters
+ *   facets: {
+ *     propertyType: [{ value: "Houses", count }],  // Taxonomy categories
+ *     propertyTypeLabel: [{ value, count }], area: [...], city: [...],
+ *     bedrooms: [{ value: "3", count }],    // "3" = 3+ bedrooms
+ *     bathrooms: [...],
+ *     priceRange: [{ value: "100000-200000", count }],
+ *     amenities: [{ value: "solar", count }],
+ *     features: { cfe, pool, openHouse, virtualTour }
+ *   }
+ * }
+ */
+app.post('/facets', validateToken, async (req, res) => {
+    console.log("-------✅ IN index.js - /facets post endpoint ----------------------");
+
+    const { filters, errors } = validateSearchFilters(req.body);
+    if (errors.length > 0) {
+        return res.status(400).json({ success: false, message: 'Invalid search filters', errors });
+    }
+
+    try {
+        const locationMatches = await resolveLocations(filters.location);
+        const rates = await loadExchangeRates(client);
+        const { total, facets } = await computeFacets(filters, { locationMatches, rates }, client);
+        res.status(200).json({ success: true, total, facets });
+    } catch (err) {
+        console.error('Error computing facets:', err);
+        res.status(500).json({ success: false, message: 'Error computing facets', error: err.message });
+    }
 });
 
 /**
- * POST /searchOrig - Original Search Endpoint (UNPROTECTED - Legacy)
+ * POST /search/parse - Natural-Language Search Parser (PROTECTED)
  * -----------------------------------------------------------------------------
- * Same as /search but without token authentication.
- * Kept for backwards compatibility but should be deprecated.
+ * Compiles a free-text query into the filter object /search accepts. The
+ * parser is rule-based and runs offline; place names are resolved with
+ * areaCitySubdivisionMatch().
+ *
+ * SECURITY: Requires valid API token (validateToken middleware)
+ *
+ * REQUEST BODY:
+ * { q: "3 bed house with pool near Pedregal under 600k, pets ok, needs work" }
+ *
+ * RESPONSE (JSON):
+ * {
+ *   success: true,
+ *   query: "3 bed house with pool near Pedregal under 600k, pets ok, needs work",
+ *   filters: { bedrooms: 3, propertyType: "Houses", pool: true, ... },
+ *   understood: [{ text: "3 bed", label: "3+ bedrooms", filters: { bedrooms: 3 } }, ...],
+ *   unparsed: ["needs work"]
+ * }
+ *
+ * The client sends `filters` to /search as-is; `understood` and `unparsed`
+ * are for the "we understood: ..." summary.
  */
-app.post('/searchOrig', async (req, res) => {
-    console.log("-------✅ IN index.js - setting up /search post endpoint ----------------------");
-    console.log('body is');
-    console.log(req.body);
+app.post('/search/parse', validateToken, async (req, res) => {
+    console.log("-------✅ IN index.js - /search/parse post endpoint ----------------------");
+
+    const { q } = req.body;
+    if (!q || typeof q !== 'string' || q.trim() === '') {
+        return res.status(400).json({ success: false, message: 'q is required' });
+    }
+
     try {
-        const listings = await fetchProperties(req);
-        console.log('RETURNING listings from Endpoint:');
-        console.log(listings.length);
-        res.status(200).json({ success: true, data: listings });
+        const parsed = await parseSearchText(q, (phrase) => areaCitySubdivisionMatch(phrase, client));
+
+        const { errors } = validateSearchFilters(parsed.filters);
+        if (errors.length > 0) {
+            return res.status(400).json({ success: false, message: 'Invalid search filters', errors, ...parsed });
+        }
+
+        res.status(200).json({
+            success: true,
+            query: parsed.query,
+            filters: parsed.filters,
+            understood: parsed.understood,
+            unparsed: parsed.unparsed
+        });
     } catch (err) {
-        console.error('Error fetching listings:', err);
-        res.status(500).json({ success: false, message: 'Error retrieving listings', error: err.message });
+        console.error('Error parsing search text:', err);
+        res.status(500).json({ success: false, message: 'Error parsing search text', error: err.message });
+    }
+});
+
+/**
+ * GET /property-types - Property Type Taxonomy
+ * -----------------------------------------------------------------------------
+ * Lists the categories accepted by the propertyType search filter, with the
+ * MLS propertytypelabel/propertyclass values each one covers. form.html
+ * builds its property type select from this list.
+ *
+ * RESPONSE (JSON):
+ * {
+ *   success: true,
+ *   propertyTypes: [
+ *     { value: "Houses", label: "House", icon: "home", labels: ["Houses", ...], classes: [] },
+ *     ...
+ *   ]
+ * }
+ */
+app.get('/property-types', (req, res) => {
+    res.status(200).json({ success: true, propertyTypes: propertyTypeVocabulary() });
+});
+
+/**
+ * GET /listing-statuses - Listing Status Vocabulary
+ * -----------------------------------------------------------------------------
+ * Lists the statuses accepted by the status search filter and returned in
+ * each listing's listingStatus. default marks the statuses searched when
+ * status isn't sent.
+ *
+ * RESPONSE (JSON):
+ * {
+ *   success: true,
+ *   statuses: [
+ *     { value: "active", label: "Active", icon: "check-circle", mlsStatuses: ["Active"], default: true },
+ *     ...
+ *   ]
+ * }
+ */
+app.get('/listing-statuses', (req, res) => {
+    res.status(200).json({ success: true, statuses: listingStatusVocabulary() });
+});
+
+/**
+ * GET /amenities - Amenity Tag Vocabulary
+ * -----------------------------------------------------------------------------
+ * Lists the tags accepted by the amenities/excludeAmenities search filters
+ * and returned in each listing's amenityTags.
+ *
+ * RESPONSE (JSON):
+ * { success: true, amenities: [{ tag: "solar", label: "Solar", icon: "solar-panel" }, ...] }
+ */
+app.get('/amenities', (req, res) => {
+    res.status(200).json({ success: true, amenities: amenityVocabulary() });
+});
+
+/**
+ * GET /exchange-rates - Current Exchange Rates
+ * -----------------------------------------------------------------------------
+ * Used by the currency toggle in form.html to convert entered price filters.
+ *
+ * RESPONSE (JSON):
+ * { success: true, base: "USD", currencies: ["USD", "MXN"], rates: { USD: 1, MXN: 17.5 } }
+ */
+app.get('/exchange-rates', async (req, res) => {
+    try {
+        const rates = await loadExchangeRates(client);
+        res.status(200).json({ success: true, base: BASE_CURRENCY, currencies: SUPPORTED_CURRENCIES, rates });
+    } catch (err) {
+        console.error('Error loading exchange rates:', err);
+        res.status(500).json({ success: false, message: 'Error loading exchange rates', error: err.message });
+    }
+});
+
+/**
+ * PUT /exchange-rates/:currency - Update One Exchange Rate (ADMIN)
+ * -----------------------------------------------------------------------------
+ * SECURITY: Requires the admin token (validateAdminToken middleware)
+ *
+ * REQUEST BODY:
+ * { rate: 17.25 }   // Units of :currency per 1 USD
+ *
+ * RESPONSE (JSON):
+ * { success: true, rates: { USD: 1, MXN: 17.25 } }
+ */
+app.put('/exchange-rates/:currency', validateAdminToken, async (req, res) => {
+    console.log("-------✅ IN index.js - /exchange-rates put endpoint ----------------------");
+
+    const currency = String(req.params.currency).toUpperCase();
+    const rate = Number(req.body.rate);
+
+    if (!SUPPORTED_CURRENCIES.includes(currency) || currency === BASE_CURRENCY) {
+        return res.status(400).json({ success: false, message: `currency must be one of: ${SUPPORTED_CURRENCIES.filter(c => c !== BASE_CURRENCY).join(', ')}` });
+    }
+    if (!Number.isFinite(rate) || rate <= 0) {
+        return res.status(400).json({ success: false, message: 'rate must be a positive number' });
+    }
+
+    try {
+        const rates = await setExchangeRate(client, currency, rate);
+        res.status(200).json({ success: true, rates });
+    } catch (err) {
+        console.error('Error updating exchange rate:', err);
+        res.status(500).json({ success: false, message: 'Error updating exchange rate', error: err.message });
+    }
+});
+
+/**
+ * GET /location-groups - Named Location Groups
+ * -----------------------------------------------------------------------------
+ * Lists the groups that can be sent as a location to /search and /facets.
+ * form.html adds them to the top of its location select.
+ *
+ * RESPONSE (JSON):
+ * {
+ *   success: true,
+ *   groups: [{ name: "All La Paz", description, locations: ["area:%La Paz%"] }]
+ * }
+ */
+app.get('/location-groups', async (req, res) => {
+    try {
+        const groups = await loadLocationGroups(client);
+        res.status(200).json({ success: true, groups });
+    } catch (err) {
+        console.error('Error loading location groups:', err);
+        res.status(500).json({ success: false, message: 'Error loading location groups', error: err.message });
+    }
+});
+
+/**
+ * GET /locations/suggest - Location Typeahead
+ * -----------------------------------------------------------------------------
+ * Ranked suggestions for the location autocomplete in form.html, matched
+ * against the cached city/area/subdivision combinations, location groups
+ * and aliases.
+ * Runs in memory once the lookup data is loaded, so it is safe to call on
+ * every keystroke.
+ *
+ * QUERY PARAMETERS:
+ * - q: What the user has typed (required, up to 100 characters)
+ * - limit: Most suggestions to return (default 8, max 25)
+ *
+ * RESPONSE (JSON):
+ * {
+ *   success: true,
+ *   query: "ped",
+ *   suggestions: [{
+ *     value: "Pedregal", level: "subdivision",
+ *     label: "Pedregal, CSL-Centro, Cabo San Lucas",
+ *     hierarchy: { subdivision, mlsareamajor, city },
+ *     count: 42, matchType: "startsWith"
+ *   }]
+ * }
+ */
+app.get('/locations/suggest', async (req, res) => {
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (q === '' || q.length > MAX_SUGGEST_QUERY_LENGTH) {
+        return res.status(400).json({ success: false, message: `q must be 1-${MAX_SUGGEST_QUERY_LENGTH} characters` });
+    }
+
+    const limit = req.query.limit === undefined ? DEFAULT_SUGGESTION_LIMIT : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SUGGESTION_LIMIT) {
+        return res.status(400).json({ success: false, message: `limit must be a whole number from 1 to ${MAX_SUGGESTION_LIMIT}` });
+    }
+
+    try {
+        const lookupData = await loadLocationLookupData(client);
+        const groups = await loadLocationGroups(client);
+        const aliases = await loadLocationAliases(client);
+        const suggestions = suggestLocations(q, lookupData, groups, aliases, limit);
+        res.status(200).json({ success: true, query: q, suggestions });
+    } catch (err) {
+        console.error('Error suggesting locations:', err);
+        res.status(500).json({ success: false, message: 'Error suggesting locations', error: err.message });
+    }
+});
+
+/**
+ * GET /locations/tree - Browsable Location Hierarchy
+ * -----------------------------------------------------------------------------
+ * The city -> MLS area -> subdivision tree with the number of listings and
+ * the median price at every node. Used by the "Browse areas" panel in
+ * form.html and by area landing pages. Trees are cached for a few minutes.
+ *
+ * QUERY PARAMETERS:
+ * - propertyType: Categories to count, comma-separated (e.g. "Houses,Condos")
+ * - currency: Currency of the medians (default "USD")
+ * - depth: Levels returned, 1 = cities only (default 3)
+ *
+ * RESPONSE (JSON):
+ * {
+ *   success: true,
+ *   currency: "USD",
+ *   propertyType: ["Houses"],          // null when every type is counted
+ *   total: { count: 812, medianPrice: 425000 },
+ *   tree: [{
+ *     name: "Cabo San Lucas", level: "city", count: 420, medianPrice: 510000,
+ *     children: [{ name: "CSL-Centro", level: "mlsareamajor", ..., children: [
+ *       { name: "Pedregal", level: "subdivision", count: 42, medianPrice: 1250000, children: [] }
+ *     ] }]
+ *   }]
+ * }
+ *
+ * A node's { level, name } plus its parents form a pinned /search location,
+ * e.g. { level: "subdivision", value: "Pedregal", mlsareamajor: "CSL-Centro", city: "Cabo San Lucas" }.
+ */
+app.get('/locations/tree', async (req, res) => {
+    console.log("-------✅ IN index.js - /locations/tree get endpoint ----------------------");
+
+    const { filters, errors } = validateSearchFilters({ propertyType: req.query.propertyType, currency: req.query.currency });
+
+    const depth = req.query.depth === undefined ? MAX_TREE_DEPTH : Number(req.query.depth);
+    if (!Number.isInteger(depth) || depth < 1 || depth > MAX_TREE_DEPTH) {
+        errors.push(`depth must be a whole number from 1 to ${MAX_TREE_DEPTH}`);
+    }
+    if (errors.length > 0) {
+        return res.status(400).json({ success: false, message: 'Invalid location tree parameters', errors });
+    }
+
+    try {
+        const rates = await loadExchangeRates(client);
+        const { total, tree } = await computeLocationTree(filters, { depth, rates }, client);
+        res.status(200).json({ success: true, currency: filters.currency, propertyType: filters.propertyType, total, tree });
+    } catch (err) {
+        console.error('Error building location tree:', err);
+        res.status(500).json({ success: false, message: 'Error building location tree', error: err.message });
+    }
+});
+
+/**
+ * POST /locations/refresh - Reload Location Data (ADMIN)
+ * -----------------------------------------------------------------------------
+ * Reloads the city/area/subdivision lookup data from mls_properties and
+ * clears the alias, group and location tree caches, so new subdivisions and
+ * admin edits are used right away instead of after the cache expires.
+ *
+ * SECURITY: Requires the admin token (validateAdminToken middleware)
+ *
+ * RESPONSE (JSON):
+ * { success: true, locations: 512, aliases: 5, groups: 1 }   // Entries loaded
+ */
+app.post('/locations/refresh', validateAdminToken, async (req, res) => {
+    console.log("-------✅ IN index.js - /locations/refresh post endpoint ----------------------");
+
+    try {
+        clearLocationAliasCache();
+        clearLocationGroupCache();
+        clearLocationTreeCache();
+        const lookupData = await loadLocationLookupData(client, true);
+        const aliases = await loadLocationAliases(client);
+        const groups = await loadLocationGroups(client);
+        res.status(200).json({ success: true, locations: lookupData.length, aliases: aliases.length, groups: groups.length });
+    } catch (err) {
+        console.error('Error refreshing location data:', err);
+        res.status(500).json({ success: false, message: 'Error refreshing location data', error: err.message });
+    }
+});
+
+/**
+ * GET /location-aliases - Location Aliases
+ * -----------------------------------------------------------------------------
+ * RESPONSE (JSON):
+ * { success: true, aliases: [{ alias: "sjd", targets: ["San Jose del Cabo"] }] }
+ */
+app.get('/location-aliases', async (req, res) => {
+    try {
+        const aliases = await loadLocationAliases(client);
+        res.status(200).json({ success: true, aliases });
+    } catch (err) {
+        console.error('Error loading location aliases:', err);
+        res.status(500).json({ success: false, message: 'Error loading location aliases', error: err.message });
+    }
+});
+
+/**
+ * PUT /location-aliases/:alias - Create or Replace an Alias (ADMIN)
+ * -----------------------------------------------------------------------------
+ * The alias is stored lowercase without accents. Every target must be a
+ * city, MLS area or subdivision that exists in the lookup data.
+ *
+ * SECURITY: Requires the admin token (validateAdminToken middleware)
+ *
+ * REQUEST BODY:
+ * { targets: ["Cabo San Lucas", "San José del Cabo"] }
+ *
+ * RESPONSE (JSON):
+ * { success: true, aliases: [...] }   // All aliases after the change
+ */
+app.put('/location-aliases/:alias', validateAdminToken, async (req, res) => {
+    console.log("-------✅ IN index.js - /location-aliases put endpoint ----------------------");
+
+    try {
+        const lookupData = await loadLocationLookupData(client);
+        const knownNames = new Set();
+        lookupData.forEach(row => {
+            [row.city, row.mlsareamajor, row.subdivision].filter(Boolean).forEach(name => knownNames.add(foldLocationText(name)));
+        });
+
+        const { entry, errors } = validateLocationAlias(req.params.alias, req.body, knownNames);
+        if (errors.length > 0) {
+            return res.status(400).json({ success: false, message: 'Invalid location alias', errors });
+        }
+
+        const aliases = await saveLocationAlias(client, entry);
+        res.status(200).json({ success: true, aliases });
+    } catch (err) {
+        console.error('Error saving location alias:', err);
+        res.status(500).json({ success: false, message: 'Error saving location alias', error: err.message });
+    }
+});
+
+/**
+ * DELETE /location-aliases/:alias - Remove an Alias (ADMIN)
+ * -----------------------------------------------------------------------------
+ * SECURITY: Requires the admin token (validateAdminToken middleware)
+ *
+ * RESPONSE (JSON):
+ * { success: true }, or 404 when there is no such alias
+ */
+app.delete('/location-aliases/:alias', validateAdminToken, async (req, res) => {
+    console.log("-------✅ IN index.js - /location-aliases delete endpoint ----------------------");
+
+    try {
+        const deleted = await deleteLocationAlias(client, req.params.alias);
+        if (!deleted) {
+            return res.status(404).json({ success: false, message: `No location alias "${req.params.alias}"` });
+        }
+        res.status(200).json({ success: true });
+    } catch (err) {
+        console.error('Error deleting location alias:', err);
+        res.status(500).json({ success: false, message: 'Error deleting location alias', error: err.message });
+    }
+});
+
+/**
+ * PUT /location-groups/:name - Create or Replace a Location Group (ADMIN)
+ * -----------------------------------------------------------------------------
+ * SECURITY: Requires the admin token (validateAdminToken middleware)
+ *
+ * REQUEST BODY:
+ * {
+ *   locations: ["SJD-Beachside", "SJD-East", "Pedregal"],  // Any mix of levels;
+ *                                                          // "%text%" = LIKE pattern,
+ *                                                          // "area:%text%" on one level
+ *   description: "San Jose beach areas"                    // Optional
+ * }
+ *
+ * RESPONSE (JSON):
+ * { success: true, groups: [...] }   // All groups after the change
+ */
+app.put('/location-groups/:name', validateAdminToken, async (req, res) => {
+    console.log("-------✅ IN index.js - /location-groups put endpoint ----------------------");
+
+    const { group, errors } = validateLocationGroup(req.params.name, req.body);
+    if (errors.length > 0) {
+        return res.status(400).json({ success: false, message: 'Invalid location group', errors });
+    }
+
+    try {
+        const groups = await saveLocationGroup(client, group);
+        res.status(200).json({ success: true, groups });
+    } catch (err) {
+        console.error('Error saving location group:', err);
+        res.status(500).json({ success: false, message: 'Error saving location group', error: err.message });
+    }
+});
+
+/**
+ * DELETE /location-groups/:name - Remove a Location Group (ADMIN)
+ * -----------------------------------------------------------------------------
+ * SECURITY: Requires the admin token (validateAdminToken middleware)
+ *
+ * RESPONSE (JSON):
+ * { success: true }, or 404 when no group has that name
+ */
+app.delete('/location-groups/:name', validateAdminToken, async (req, res) => {
+    console.log("-------✅ IN index.js - /location-groups delete endpoint ----------------------");
+
+    try {
+        const deleted = await deleteLocationGroup(client, req.params.name);
+        if (!deleted) {
+            return res.status(404).json({ success: false, message: `No location group named "${req.params.name}"` });
+        }
+        res.status(200).json({ success: true });
+    } catch (err) {
+        console.error('Error deleting location group:', err);
+        res.status(500).json({ success: false, message: 'Error deleting location group', error: err.message });
+    }
+});
+
+/**
+ * GET /listings/:id - One Listing with Photos, Tours and Open Houses (PROTECTED)
+ * -----------------------------------------------------------------------------
+ * The full mls_properties record of an on-market listing, enriched the same
+ * way as search results (formatListingsRaw, so cached details are reused and
+ * missing ones fetched from Spark). Lets the property detail modal in
+ * form.html be deep-linked and refreshed without a search.
+ *
+ * SECURITY: Requires valid API token (validateToken middleware), because a
+ * cache miss calls the Spark API
+ *
+ * QUERY PARAMETERS:
+ * - currency: USD (default) or MXN - prices are converted
+ *
+ * RESPONSE (JSON):
+ * {
+ *   success: true, currency: "USD",
+ *   listing: { id, ...every mls_properties column, amenityTags, propertyCategory,
+ *              listingStatus, previousPrice, priceReducedAt, daysOnMarket,
+ *              originalPrice, originalCurrency, photos, vTours, openhouses }
+ * }
+ * 404 when the id is malformed or unknown, or the listing is off-market.
+ */
+app.get('/listings/:id', validateToken, async (req, res) => {
+    console.log("-------✅ IN index.js - /listings/:id get endpoint ----------------------");
+
+    if (!isListingId(req.params.id)) {
+        return res.status(404).json({ success: false, message: `Listing ${req.params.id} not found` });
+    }
+
+    const { filters, errors } = validateSearchFilters({ currency: req.query.currency });
+    if (errors.length > 0) {
+        return res.status(400).json({ success: false, message: 'Invalid listing parameters', errors });
+    }
+
+    try {
+        const query = buildListingQuery(req.params.id);
+        const result = await client.query(query.text, query.values);
+        if (result.rows.length === 0) {
+            return res.status(404).json({ success: false, message: `Listing ${req.params.id} not found` });
+        }
+
+        const rates = await loadExchangeRates(client);
+        convertListingPrices(result.rows, filters.currency, rates);
+        const [listing] = await formatListingsRaw(req, result.rows, client);
+        res.status(200).json({ success: true, currency: filters.currency, listing });
+    } catch (err) {
+        console.error('Error loading listing:', err);
+        res.status(500).json({ success: false, message: 'Error loading listing', error: err.message });
+    }
+});
+
+/**
+ * GET /listings/:id/history - Price and Status History of a Listing (PROTECTED)
+ * -----------------------------------------------------------------------------
+ * Every recorded change to the listing's price or status, oldest first. Used
+ * by the price history chart in the property detail modal (form.html).
+ *
+ * SECURITY: Requires valid API token (validateToken middleware), like
+ * GET /listings/:id
+ *
+ * QUERY PARAMETERS:
+ * - currency: USD (default) or MXN - prices are converted
+ *
+ * RESPONSE (JSON):
+ * {
+ *   success: true, id: "20231234", currency: "USD",
+ *   history: [{
+ *     changedAt: "2024-03-01T00:00:00.000Z",
+ *     price: 450000, previousPrice: 500000, changePercent: -10,
+ *     status: "Active", previousStatus: "Active",
+ *     originalPrice: 450000, originalCurrency: "USD"
+ *   }]
+ * }
+ * 404 when the id is malformed, no history is recorded for it, or the
+ * listing is off-market.
+ */
+app.get('/listings/:id/history', validateToken, async (req, res) => {
+    console.log("-------✅ IN index.js - /listings/:id/history get endpoint ----------------------");
+
+    if (!isListingId(req.params.id)) {
+        return res.status(404).json({ success: false, message: `No history for listing ${req.params.id}` });
+    }
+
+    const { filters, errors } = validateSearchFilters({ currency: req.query.currency });
+    if (errors.length > 0) {
+        return res.status(400).json({ success: false, message: 'Invalid history parameters', errors });
+    }
+
+    try {
+        const rates = await loadExchangeRates(client);
+        const history = await loadListingHistory(req.params.id, { currency: filters.currency, rates }, client);
+        if (!history) {
+            return res.status(404).json({ success: false, message: `No history for listing ${req.params.id}` });
+        }
+        res.status(200).json({ success: true, id: req.params.id, currency: filters.currency, history });
+    } catch (err) {
+        console.error('Error loading listing history:', err);
+        res.status(500).json({ success: false, message: 'Error loading listing history', error: err.message });
+    }
+});
+
+/**
+ * DELETE /listings/:id/details-cache - Purge Cached Listing Details (ADMIN)
+ * -----------------------------------------------------------------------------
+ * Drops the photos, virtual tours and/or open houses cached in
+ * mls_properties_details for one listing, so the next search fetches them
+ * from Spark again. Use it when an agent has changed a listing and it can't
+ * wait for the cache TTL.
+ *
+ * SECURITY: Requires the admin token (validateAdminToken middleware)
+ *
+ * QUERY PARAMETERS:
+ * - fields: Comma-separated subset of photos,vTours,openHouses (default: all)
+ *
+ * RESPONSE (JSON):
+ * { success: true, id: "20231234", fields: ["photos"] }, or 404 when nothing
+ * was cached for the listing
+ */
+app.delete('/listings/:id/details-cache', validateAdminToken, async (req, res) => {
+    console.log("-------✅ IN index.js - /listings/:id/details-cache delete endpoint ----------------------");
+
+    const fields = typeof req.query.fields === 'string' && req.query.fields.trim() !== ''
+        ? [...new Set(req.query.fields.split(',').map(field => field.trim()).filter(Boolean))]
+        : null;
+    const unknown = (fields || []).filter(field => !DETAIL_FRESHNESS[field]);
+    if (unknown.length > 0) {
+        return res.status(400).json({
+            success: false,
+            message: 'Invalid cache fields',
+            errors: [`fields must be a subset of: ${Object.keys(DETAIL_FRESHNESS).join(', ')} (got ${unknown.join(', ')})`]
+        });
+    }
+
+    try {
+        const purged = await purgeListingDetails(req.params.id, fields, client);
+        if (!purged) {
+            return res.status(404).json({ success: false, message: `No cached details for listing ${req.params.id}` });
+        }
+        res.status(200).json({ success: true, id: req.params.id, fields: fields || Object.keys(DETAIL_FRESHNESS) });
+    } catch (err) {
+        console.error('Error purging listing details:', err);
+        res.status(500).json({ success: false, message: 'Error purging listing details', error: err.message });
+    }
+});
+
+/**
+ * GET /listing-sync-runs - Recent Listing Sync Runs (ADMIN)
+ * -----------------------------------------------------------------------------
+ * Lists the latest runs of the Spark listing sync, newest first, with their
+ * counters and recorded errors.
+ *
+ * SECURITY: Requires the admin token (validateAdminToken middleware)
+ *
+ * QUERY PARAMETERS:
+ * - limit: Runs to return (1-100, default 20)
+ *
+ * RESPONSE (JSON):
+ * { success: true, runs: [{ id, mode, status, modified_since, watermark, pages,
+ *   fetched, upserted, marked_off_market, errors, started_at, finished_at }] }
+ */
+app.get('/listing-sync-runs', validateAdminToken, async (req, res) => {
+    console.log("-------✅ IN index.js - /listing-sync-runs endpoint ----------------------");
+
+    const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+        return res.status(400).json({ success: false, message: 'Invalid limit', errors: ['limit must be an integer from 1 to 100'] });
+    }
+
+    try {
+        const runs = await listSyncRuns(client, limit);
+        res.status(200).json({ success: true, runs });
+    } catch (err) {
+        console.error('Error loading listing sync runs:', err);
+        res.status(500).json({ success: false, message: 'Error loading listing sync runs', error: err.message });
     }
 });
 
@@ -464,7 +1469,11 @@ app.post('/searchOrig', async (req, res) => {
  *   success: true,
  *   input: "Cabo",
  *   matchResult: { ... },  // The result from areaCitySubdivisionMatch
- *   suggestedQuery: { ... } // How fetchProperties would use this data
+ *   suggestedQuery: {       // How fetchProperties would use this data
+ *     description: "...",
+ *     sqlSnippet: "AND city = $1",
+ *     values: ["Cabo San Lucas"]
+ *   }
  * }
  */
 app.post('/test-location-match', async (req, res) => {
@@ -476,39 +1485,29 @@ app.post('/test-location-match', async (req, res) => {
     try {
         const matchResult = await areaCitySubdivisionMatch(location, client);
 
-        // Build what the suggested SQL filter would look like
+        // Build what the suggested SQL filter would look like, using the same
+        // locationClause() that fetchProperties runs through the query builder
+        const params = createQueryParams();
+        const condition = locationClause({ location: [location] }, params, {
+            locationMatches: [{ location, group: null, match: matchResult }]
+        });
+
         let suggestedQuery = {
             description: '',
-            sqlSnippet: ''
+            sqlSnippet: condition ? `AND ${condition}` : 'No filters',
+            values: params.values
         };
 
         if (matchResult === null) {
             suggestedQuery.description = 'No match found - would fall back to LIKE search on all fields';
-            suggestedQuery.sqlSnippet = `AND (city LIKE '%${location}%' OR mlsareamajor LIKE '%${location}%' OR subdivisionname LIKE '%${location}%')`;
+        } else if (matchResult.targets) {
+            suggestedQuery.description = `Alias "${matchResult.alias}" - would search ${matchResult.targets.length} locations: ${matchResult.targets.map(t => t.matchedValue).join(', ')}`;
         } else if (matchResult.ambiguous && matchResult.matches) {
-            // Multiple matches - search across all matched values
-            if (matchResult.matchedField === 'city') {
-                const cityList = matchResult.matches.map(c => `'${c}'`).join(', ');
-                suggestedQuery.description = `Ambiguous city match - would search across ${matchResult.matches.length} cities`;
-                suggestedQuery.sqlSnippet = `AND city IN (${cityList})`;
-            } else if (matchResult.matchedField === 'mlsareamajor') {
-                const areaList = matchResult.matches.map(a => `'${a}'`).join(', ');
-                suggestedQuery.description = `Ambiguous area match - would search across ${matchResult.matches.length} areas`;
-                suggestedQuery.sqlSnippet = `AND mlsareamajor IN (${areaList})`;
-            } else {
-                const subdivList = matchResult.matches.map(s => `'${s.value || s}'`).join(', ');
-                suggestedQuery.description = `Ambiguous subdivision match - would search across ${matchResult.matches.length} subdivisions`;
-                suggestedQuery.sqlSnippet = `AND subdivisionname IN (${subdivList})`;
-            }
+            const levelNames = { city: 'city', mlsareamajor: 'area' };
+            const level = levelNames[matchResult.matchedField] || 'subdivision';
+            suggestedQuery.description = `Ambiguous ${level} match - would search across ${matchResult.matches.length} ${level === 'city' ? 'cities' : level + 's'}`;
         } else {
-            // Clear match - use precise filters
-            let filters = [];
-            if (matchResult.city) filters.push(`city = '${matchResult.city}'`);
-            if (matchResult.mlsareamajor) filters.push(`mlsareamajor = '${matchResult.mlsareamajor}'`);
-            if (matchResult.subdivision) filters.push(`subdivisionname = '${matchResult.subdivision}'`);
-
             suggestedQuery.description = `Clear ${matchResult.matchType} match on ${matchResult.matchedField}`;
-            suggestedQuery.sqlSnippet = filters.length > 0 ? 'AND ' + filters.join(' AND ') : 'No filters';
         }
 
         res.status(200).json({
@@ -533,75 +1532,54 @@ app.post('/test-location-match', async (req, res) => {
 // =============================================================================
 
 /**
- * Location data cache - loaded once from database
- * Contains all valid combinations of city, mlsareamajor, and subdivisionname
+ * Location data cache - loaded from database and reloaded every
+ * LOCATION_CACHE_TTL_MS (LOCATION_CACHE_TTL_MINUTES env var, default 60) so
+ * new subdivisions appear without a restart. POST /locations/refresh reloads
+ * it on demand.
+ * Contains all valid combinations of city, mlsareamajor, and subdivisionname,
+ * with the number of listings in each
  */
+const LOCATION_CACHE_TTL_MS = (Number(process.env.LOCATION_CACHE_TTL_MINUTES) || 60) * 60 * 1000;
 let locationLookupCache = null;
-
-/**
- * levenshteinDistance - Calculate edit distance between two strings
- * -----------------------------------------------------------------------------
- * Classic dynamic programming implementation of Levenshtein distance.
- * Used for fuzzy matching to handle user typos/misspellings.
- *
- * @param {string} str1 - First string
- * @param {string} str2 - Second string
- * @returns {number} Number of single-character edits needed to transform str1 to str2
- */
-function levenshteinDistance(str1, str2) {
-    const m = str1.length;
-    const n = str2.length;
-
-    // Create a matrix of distances
-    const dp = Array(m + 1).fill(null).map(() => Array(n + 1).fill(0));
-
-    // Initialize base cases
-    for (let i = 0; i <= m; i++) dp[i][0] = i;
-    for (let j = 0; j <= n; j++) dp[0][j] = j;
-
-    // Fill in the rest of the matrix
-    for (let i = 1; i <= m; i++) {
-        for (let j = 1; j <= n; j++) {
-            if (str1[i - 1] === str2[j - 1]) {
-                dp[i][j] = dp[i - 1][j - 1];
-            } else {
-                dp[i][j] = 1 + Math.min(
-                    dp[i - 1][j],     // deletion
-                    dp[i][j - 1],     // insertion
-                    dp[i - 1][j - 1]  // substitution
-                );
-            }
-        }
-    }
-
-    return dp[m][n];
-}
+let locationLookupLoadedAt = 0;
 
 /**
  * loadLocationLookupData - Load location combinations from database
  * -----------------------------------------------------------------------------
  * Queries distinct city/mlsareamajor/subdivision combinations from mls_properties.
- * Results are cached in memory for subsequent calls.
+ * Results are cached in memory for LOCATION_CACHE_TTL_MS. If a reload fails
+ * the previous data keeps being used.
  *
  * @param {Object} dbClient - PostgreSQL client
- * @returns {Array} Array of {city, mlsareamajor, subdivision} objects
+ * @param {boolean} force - Reload even if the cache hasn't expired
+ * @returns {Array} Array of {city, mlsareamajor, subdivision, listings} objects
  */
-async function loadLocationLookupData(dbClient) {
-    if (locationLookupCache) {
+async function loadLocationLookupData(dbClient, force = false) {
+    if (locationLookupCache && !force && Date.now() - locationLookupLoadedAt < LOCATION_CACHE_TTL_MS) {
         return locationLookupCache;
     }
 
     console.log("-------✅ Loading location lookup data from database...");
 
     const query = `
-        SELECT DISTINCT city, mlsareamajor, subdivisionname as subdivision
+        SELECT city, mlsareamajor, subdivisionname as subdivision, COUNT(*)::int AS listings
         FROM mls_properties
-        WHERE city IS NOT NULL OR mlsareamajor IS NOT NULL OR subdivisionname IS NOT NULL
+        WHERE off_market_at IS NULL
+          AND (city IS NOT NULL OR mlsareamajor IS NOT NULL OR subdivisionname IS NOT NULL)
+        GROUP BY city, mlsareamajor, subdivisionname
         ORDER BY city, mlsareamajor, subdivisionname
     `;
 
-    const result = await dbClient.query(query);
+    let result;
+    try {
+        result = await dbClient.query(query);
+    } catch (err) {
+        if (!locationLookupCache) throw err;
+        console.error('-------⚠️ Could not reload location lookup data, keeping the cached copy:', err.message);
+        return locationLookupCache;
+    }
     locationLookupCache = result.rows;
+    locationLookupLoadedAt = Date.now();
 
     console.log(`-------✅ Loaded ${locationLookupCache.length} location combinations`);
     return locationLookupCache;
@@ -614,6 +1592,8 @@ async function loadLocationLookupData(dbClient) {
  * using a combination of exact matching, partial matching, and fuzzy matching.
  *
  * MATCHING PRIORITY:
+ * 0. Alias (location_aliases table, e.g. "SJD", "Cabo") - each target is
+ *    matched instead of the alias
  * 1. Exact match (case-insensitive)
  * 2. Starts-with match (input is prefix of a value)
  * 3. Contains match (input is substring of a value)
@@ -626,8 +1606,13 @@ async function loadLocationLookupData(dbClient) {
  * - If ambiguous: return all candidates with ambiguous flag
  * - If no match: return null
  *
+ * All comparisons are case- and accent-insensitive (foldLocationText), so
+ * "San Jose del Cabo" matches "San José del Cabo".
+ *
  * @param {string} userInput - The location string from user
  * @param {Object} dbClient - PostgreSQL client for database queries
+ * @param {boolean} followAliases - false when matching an alias target, so
+ *                                  aliases can't point at each other in a loop
  * @returns {Object|null} Match result object or null if no match
  *
  * RETURN OBJECT STRUCTURE:
@@ -635,14 +1620,16 @@ async function loadLocationLookupData(dbClient) {
  *   city: string|null,
  *   mlsareamajor: string|null,
  *   subdivision: string|null,
- *   matchType: 'exact'|'startsWith'|'contains'|'fuzzy',
- *   matchedField: 'city'|'mlsareamajor'|'subdivision',
+ *   matchType: 'exact'|'startsWith'|'contains'|'fuzzy'|'alias',
+ *   matchedField: 'city'|'mlsareamajor'|'subdivision'|'alias',
  *   confidence: number (0-1),
  *   ambiguous: boolean,
- *   matches: array (if ambiguous, contains all matching candidates)
+ *   matches: array (if ambiguous, contains all matching candidates),
+ *   alias: string (if the input was an alias),
+ *   targets: array (alias with several targets: one match result per target)
  * }
  */
-async function areaCitySubdivisionMatch(userInput, dbClient) {
+async function areaCitySubdivisionMatch(userInput, dbClient, followAliases = true) {
     console.log(`-------✅ areaCitySubdivisionMatch called with: "${userInput}"`);
 
     if (!userInput || typeof userInput !== 'string' || userInput.trim() === '') {
@@ -650,7 +1637,39 @@ async function areaCitySubdivisionMatch(userInput, dbClient) {
         return null;
     }
 
-    const normalized = userInput.toLowerCase().trim();
+    // === ALIASES (admin-defined, checked first) ===
+    if (followAliases) {
+        const alias = findLocationAlias(await loadLocationAliases(dbClient), userInput);
+        if (alias) {
+            const targets = [];
+            for (const target of alias.targets) {
+                const match = await areaCitySubdivisionMatch(target, dbClient, false);
+                if (match) targets.push(match);
+            }
+            console.log(`-------✅ Alias "${alias.alias}" -> ${alias.targets.join(', ')} (${targets.length} matched)`);
+
+            if (targets.length === 1) {
+                return { ...targets[0], matchType: 'alias', confidence: 1.0, alias: alias.alias, inputReceived: userInput };
+            }
+            if (targets.length > 1) {
+                return {
+                    city: null,
+                    mlsareamajor: null,
+                    subdivision: null,
+                    matchType: 'alias',
+                    matchedField: 'alias',
+                    matchedValue: alias.alias,
+                    confidence: 1.0,
+                    ambiguous: false,
+                    inputReceived: userInput,
+                    alias: alias.alias,
+                    targets
+                };
+            }
+        }
+    }
+
+    const normalized = foldLocationText(userInput);
     const lookupData = await loadLocationLookupData(dbClient);
 
     // Track all matches found
@@ -673,7 +1692,7 @@ async function areaCitySubdivisionMatch(userInput, dbClient) {
     const checkMatches = (values, fieldName) => {
         for (const value of values) {
             if (!value) continue;
-            const valueLower = value.toLowerCase();
+            const valueLower = foldLocationText(value);
 
             // Exact match
             if (valueLower === normalized) {
@@ -708,7 +1727,7 @@ async function areaCitySubdivisionMatch(userInput, dbClient) {
     const findRecordsForValue = (fieldName, value) => {
         return lookupData.filter(r => {
             const fieldValue = r[fieldName];
-            return fieldValue && fieldValue.toLowerCase() === value.toLowerCase();
+            return fieldValue && foldLocationText(fieldValue) === foldLocationText(value);
         });
     };
 
@@ -896,171 +1915,177 @@ async function areaCitySubdivisionMatch(userInput, dbClient) {
 // CORE BUSINESS LOGIC - PROPERTY SEARCH FUNCTION
 // =============================================================================
 
+/**
+ * resolveLocations - Expand location groups and match every location
+ * -----------------------------------------------------------------------------
+ * Shared by every endpoint that builds queries from the search filters.
+ * A location that names a location group (routes/locationGroups.js) is
+ * replaced by the group's members; each location is then matched with
+ * areaCitySubdivisionMatch(). Group members written as LIKE patterns
+ * (parseGroupPattern) skip the matcher, and pinned locations (picked from a "did you mean"
+ * chooser) are used as given.
+ *
+ * @param {Array|null} locations - Location filter from validateSearchFilters()
+ * @returns {Array|null} [{ location, group, match }] for locationClause(),
+ *                       or null when no location was sent
+ */
+async function resolveLocations(locations) {
+    if (!locations || locations.length === 0) return null;
+
+    const groups = await loadLocationGroups(client);
+    const resolved = [];
+
+    for (const location of locations) {
+        if (typeof location !== 'string') {
+            resolved.push({ location: location.value, group: null, match: pinnedLocationMatch(location) });
+            continue;
+        }
+
+        const group = findLocationGroup(groups, location);
+        const members = group ? group.locations : [location];
+        if (group) {
+            console.log(`-------✅ Location group "${group.name}" expands to: ${members.join(', ')}`);
+        }
+
+        for (const member of members) {
+            const match = group && parseGroupPattern(member) ? null : await resolveLocation(member);
+            resolved.push({ location: member, group: group ? group.name : null, match });
+        }
+    }
+
+    return resolved;
+}
+
+/**
+ * resolveLocation - Match a single location and log the result
+ * -----------------------------------------------------------------------------
+ * Thin wrapper around areaCitySubdivisionMatch(), called by resolveLocations()
+ * for each location searched.
+ *
+ * @param {string} location - One location (never a group name)
+ * @returns {Object|null} Match result, or null when there is no match
+ */
+async function resolveLocation(location) {
+    const locationMatch = await areaCitySubdivisionMatch(location, client);
+    console.log('========== LOCATION MATCH RESULT ==========');
+    console.log(`Input: "${location}"`);
+    console.log('Match Result:', JSON.stringify(locationMatch, null, 2));
+
+    if (locationMatch) {
+        console.log('--- Summary ---');
+        console.log(`  Match Type: ${locationMatch.matchType}`);
+        console.log(`  Matched Field: ${locationMatch.matchedField}`);
+        console.log(`  Matched Value: ${locationMatch.matchedValue}`);
+        console.log(`  Confidence: ${locationMatch.confidence}`);
+        console.log(`  Ambiguous: ${locationMatch.ambiguous}`);
+        if (locationMatch.city) console.log(`  City: ${locationMatch.city}`);
+        if (locationMatch.mlsareamajor) console.log(`  MLS Area Major: ${locationMatch.mlsareamajor}`);
+        if (locationMatch.subdivision) console.log(`  Subdivision: ${locationMatch.subdivision}`);
+        if (locationMatch.matches) console.log(`  Multiple Matches: ${JSON.stringify(locationMatch.matches)}`);
+    } else {
+        console.log('  No match found - will fall back to LIKE search');
+    }
+    console.log('============================================');
+
+    return locationMatch;
+}
+
 /**
  * fetchProperties - Core Database Query Function
  * -----------------------------------------------------------------------------
  * This is the main function that queries the PostgreSQL database for properties.
- * It builds a dynamic SQL query based on the user's search filters.
+ * The SQL itself is built by buildSearchQuery() in routes/searchQuery.js as a
+ * parameterized statement - no filter value is ever concatenated into SQL.
  *
- * PARAMETERS (from req.body):
- * - propertyType: Filter by property type (e.g., "Single Family Residence")
- * - location: Filter by MLS area (supports "All La Paz" for wildcard)
- * - priceRange: Price range as "min-max" string
+ * FILTERS (validated by validateSearchFilters from req.body):
+ * - propertyType: One or more taxonomy categories (e.g., ["Houses", "Land"])
+ * - location: One or more cities/areas/subdivisions or location group names
+ *   (e.g. ["SJD-Beachside", "SJD-East", "Pedregal"] or "All La Paz"), or
+ *   pinned { level, value, mlsareamajor, city } locations
+ * - blendLocations: Search all candidates of an ambiguous location at once
+ * - keyword: Full-text search over remarks and feature lists
+ * - minPrice/maxPrice: Price band (explicit values or the "min-max" priceRange string)
+ * - minArea/maxArea, minLotSize/maxLotSize, minYearBuilt/maxYearBuilt,
+ *   minRooms/maxRooms, minPricePerM2/maxPricePerM2: Optional range bounds
+ * - north/south/east/west: Map viewport bounding box on latitude/longitude
+ * - polygon/radius: Shapes drawn on the map, checked against listing coordinates
  * - bedrooms: Minimum number of bedrooms
  * - bathrooms: Minimum number of bathrooms
+ * - amenities/excludeAmenities: Amenity tags required / left out
  * - cfe: Boolean - filter for CFE electric (Mexican power grid)
  * - pool: Boolean - filter for properties with pools
  * - newListing: Boolean - only "New Listing" properties
  * - priceReduced: Boolean - only "Price Reduced" properties
  * - openHouse: Boolean - only properties with open houses
  * - virtualTour: Boolean - only properties with virtual tours
+ * - currency: "USD" or "MXN" - price filters are in this currency and
+ *   returned prices are converted to it
+ * - sort: Whitelisted sort key (default "priceDesc")
+ * - page/pageSize: Which page of the result set to return
  *
  * DATABASE TABLES USED:
  * - mls_properties: Main property data from MLS feed
  *
- * RETURNS:
- * Array of property objects with photos and virtual tours attached
- * (via formatListingsRaw from routes/db.js)
+ * @param {Object} req - Express request object (passed on to formatListingsRaw)
+ * @param {Object} filters - Filter object from validateSearchFilters()
+ * @returns {Object} { listings, pagination, didYouMean? }
+ *   - listings: Property objects for the requested page with photos and
+ *               virtual tours attached (via formatListingsRaw from routes/db.js)
+ *   - pagination: { total, page, pageSize, pageCount, hasMore }
+ *   - didYouMean: Set (and no query run) when a location needs confirmation
  *
  * CONNECTION TO OTHER COMPONENTS:
- * - Called by: /search and /searchOrig endpoints
+ * - Called by: handleSearch() for the /search and /searchOrig endpoints
+ * - Calls: buildSearchQuery()/buildCountQuery() in routes/searchQuery.js to build the SQL
  * - Calls: formatListingsRaw() in routes/db.js to enrich data with photos
  */
-const fetchProperties = async (req) => {
+const fetchProperties = async (req, filters) => {
     console.log("-------✅ IN index.js - setting fetchProperties function ----------------------");
-
-    const propInfo = req.body;
-    console.log('body info is:');
-    console.log(propInfo);
-
-    // Destructure all possible search filters from request body
-    const { propertyType, location, priceRange, bedrooms, bathrooms, cfe, pool, newListing, priceReduced, openHouse, virtualTour, page } = propInfo;
+    console.log('filters are:');
+    console.log(filters);
 
     // =========================================================================
-    // LOCATION MATCHING - Resolve user input to city/area/subdivision
+    // LOCATION MATCHING - Resolve each location (or group) to city/area/subdivision
     // =========================================================================
-    let locationMatch = null;
-    if (location) {
-        locationMatch = await areaCitySubdivisionMatch(location, client);
-        console.log('========== LOCATION MATCH RESULT ==========');
-        console.log(`Input: "${location}"`);
-        console.log('Match Result:', JSON.stringify(locationMatch, null, 2));
-
-        if (locationMatch) {
-            console.log('--- Summary ---');
-            console.log(`  Match Type: ${locationMatch.matchType}`);
-            console.log(`  Matched Field: ${locationMatch.matchedField}`);
-            console.log(`  Matched Value: ${locationMatch.matchedValue}`);
-            console.log(`  Confidence: ${locationMatch.confidence}`);
-            console.log(`  Ambiguous: ${locationMatch.ambiguous}`);
-            if (locationMatch.city) console.log(`  City: ${locationMatch.city}`);
-            if (locationMatch.mlsareamajor) console.log(`  MLS Area Major: ${locationMatch.mlsareamajor}`);
-            if (locationMatch.subdivision) console.log(`  Subdivision: ${locationMatch.subdivision}`);
-            if (locationMatch.matches) console.log(`  Multiple Matches: ${JSON.stringify(locationMatch.matches)}`);
-        } else {
-            console.log('  No match found - will fall back to LIKE search');
+    const locationMatches = await resolveLocations(filters.location);
+    const rates = await loadExchangeRates(client);
+
+    // Ambiguous or doubtful locations are confirmed by the user first,
+    // unless the client asked for every candidate blended together
+    if (locationMatches && !filters.blendLocations) {
+        const didYouMean = buildDidYouMean(locationMatches, await loadLocationLookupData(client));
+        if (didYouMean.length > 0) {
+            console.log(`-------⚠️ ${didYouMean.length} location(s) need confirmation: ${didYouMean.map(d => d.input).join(', ')}`);
+            return { listings: [], pagination: buildPagination(filters, 0), didYouMean };
         }
-        console.log('============================================');
     }
 
     try {
-        // Define which fields to retrieve from the database
-        // These fields are used by the frontend to display property cards
-        const fieldList = 'id, mlsid, listingid, originatingsystemlistingid,  city, mlsareamajor, subdivisionname, postalcode, buildingareatotal, propertyclass, propertytypelabel, lotsizedimensions, latitude, longitude, interiorfeatures, electric, architecturalstyle, patioandporchfeatures, poolfeatures, exteriorfeatures, roomstotal, kitchenappliances, bedstotal, bathroomstotaldecimal, publicremarks, petsallowed, currentpricepublic, majorchangetype, streetname, streetnumberinteger, streetadditionalinfo, unparsedaddress, unparsedfirstlineaddress, photoscount, virtualtourscount, openhousescount, yearbuilt';
-
         // =====================================================================
-        // DYNAMIC SQL QUERY BUILDING
+        // PARAMETERIZED SQL QUERY BUILDING
         // =====================================================================
-        // Start with base query - "WHERE 1=1" allows easy appending of AND clauses
-        // Use DISTINCT ON (id) to prevent duplicate listings from appearing
-        let query = `SELECT DISTINCT ON (id) ${fieldList} FROM mls_properties WHERE 1=1`;
-
-        // Property Type Filter
-        if (propertyType) query += ` AND propertytypelabel = '${propertyType}'`;
-
-        // Location Filter - Uses areaCitySubdivisionMatch result for smart filtering
-        if (location) {
-            // Special case: "All La Paz" wildcard search
-            const allIncludeLocations = {
-                'All La Paz': ` AND mlsareamajor LIKE '%La Paz%'`
-            };
-
-            if (allIncludeLocations[location]) {
-                query += allIncludeLocations[location];
-            } else if (locationMatch === null) {
-                // No match found - fall back to LIKE search on all location fields
-                query += ` AND (city LIKE '%${location}%' OR mlsareamajor LIKE '%${location}%' OR subdivisionname LIKE '%${location}%')`;
-            } else if (locationMatch.ambiguous && locationMatch.matches) {
-                // Multiple matches - search across all matched values
-                if (locationMatch.matchedField === 'city') {
-                    const cityList = locationMatch.matches.map(c => `'${c}'`).join(', ');
-                    query += ` AND city IN (${cityList})`;
-                } else if (locationMatch.matchedField === 'mlsareamajor') {
-                    const areaList = locationMatch.matches.map(a => `'${a}'`).join(', ');
-                    query += ` AND mlsareamajor IN (${areaList})`;
-                } else {
-                    // subdivision matches
-                    const subdivList = locationMatch.matches.map(s => `'${s.value || s}'`).join(', ');
-                    query += ` AND subdivisionname IN (${subdivList})`;
-                }
-            } else {
-                // Clear match - use precise filters based on matched level
-                if (locationMatch.subdivision) {
-                    // Most specific: filter by subdivision (city/area already implied)
-                    query += ` AND subdivisionname = '${locationMatch.subdivision}'`;
-                } else if (locationMatch.mlsareamajor) {
-                    // Mid-level: filter by area
-                    query += ` AND mlsareamajor = '${locationMatch.mlsareamajor}'`;
-                } else if (locationMatch.city) {
-                    // Broadest: filter by city
-                    query += ` AND city = '${locationMatch.city}'`;
-                }
-            }
-        }
-
-        // Price Range Filter - Parse "min-max" format
-        if (priceRange) {
-            const [minPrice, maxPrice] = priceRange.split('-');
-            //query += ` AND listprice BETWEEN ${minPrice} AND ${maxPrice || '999999999'}`;
-            query += ` AND currentpricepublic BETWEEN ${minPrice} AND ${maxPrice || '999999999'}`;
-
-        }
-
-        // Bedroom/Bathroom Filters (minimum values)
-        if (bedrooms) query += ` AND bedstotal >= ${bedrooms}`;
-        if (bathrooms) query += ` AND bathsfull >= ${bathrooms}`;
-
-        // Feature Filters (boolean toggles)
-        if(cfe) query += " AND electric LIKE '%CFE%'";           // CFE electric
-        if(pool) query += " AND poolfeatures LIKE '%Pool%'";      // Has pool
-        if(newListing) query += " AND majorchangetype = 'New Listing'";
-        if(priceReduced) query += " AND majorchangetype = 'Price Reduced'";
-        if(openHouse) query += " AND openhousescount > 0";
-        if(virtualTour) query += " AND virtualtourcount > 0";
-
-        // Sort by id (required for DISTINCT ON) then by price high to low
-        // We wrap in a subquery to sort the final results by price
-        query += " ORDER BY id, currentpricepublic DESC";
-
-        // Wrap in subquery to re-sort by price after deduplication
-        query = `SELECT * FROM (${query}) AS deduplicated ORDER BY currentpricepublic DESC`;
-
-        // Limit results to prevent overwhelming responses
-        query += " LIMIT 50";
-        console.log('property query:', query);
+        // The count query runs the same clauses, so the total describes the
+        // exact result set being paged through
+        const query = buildSearchQuery(filters, { locationMatches, rates });
+        const countQuery = buildCountQuery(filters, { locationMatches, rates });
+        console.log('property query:', query.text);
+        console.log('property query values:', query.values);
 
         // =====================================================================
-        // EXECUTE QUERY AND ENRICH WITH PHOTOS
+        // EXECUTE QUERIES AND ENRICH WITH PHOTOS
         // =====================================================================
-        const result = await client.query(query);
-        console.log(`I have ${result.rows.length} results`);
+        const result = await client.query(query.text, query.values);
+        const countResult = await client.query(countQuery.text, countQuery.values);
+        const pagination = buildPagination(filters, countResult.rows[0].total);
+        console.log(`I have ${result.rows.length} results of ${pagination.total} total`);
 
         // formatListingsRaw enriches each listing with:
         // - Photos from Spark API (cached in mls_properties_details table)
         // - Virtual tours
         // - Open house information
+        convertListingPrices(result.rows, filters.currency, rates);
         const listingsPopulated = await formatListingsRaw(req, result.rows, client);
-        return listingsPopulated;
+        return { listings: listingsPopulated, pagination };
 
     } catch (err) {
         console.error(err);
@@ -1072,10 +2097,18 @@ const fetchProperties = async (req) => {
 // SERVER STARTUP
 // =============================================================================
 /**
- * Start the Express server on the configured port.
+ * Start the Express server on the configured port, once the database is
+ * connected and the schema is in place (databaseReady).
  * In production (Heroku), PORT is set via environment variable.
  * In development, defaults to port 3000.
  */
-app.listen(port, () => {
-    console.log(`Server is running on port ${port}`);
-});
+databaseReady
+    .then(() => {
+        app.listen(port, () => {
+            console.log(`Server is running on port ${port}`);
+        });
+    })
+    .catch((err) => {
+        console.error('-------❌ Server startup failed:', err.message);
+        process.exit(1);
+    });
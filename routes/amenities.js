@@ -0,0 +1,159 @@
+/**
+ * =============================================================================
+ * AMENITY TAGS MODULE (routes/amenities.js)
+ * =============================================================================
+ *
+ * The MLS feed describes amenities as free text spread over several columns
+ * (electric, poolfeatures, exteriorfeatures, patioandporchfeatures,
+ * kitchenappliances, interiorfeatures, petsallowed). This module maps that
+ * text onto a controlled vocabulary of amenity tags such as "solar",
+ * "oceanView" or "petsAllowed".
+ *
+ * Each tag is defined once, as a case-insensitive PostgreSQL regular
+ * expression over its source columns. The same definition is used to:
+ * - Filter searches (required and excluded amenities on /search)
+ * - Return the derived tags with every listing ("amenityTags")
+ * - Count listings per tag for /facets
+ *
+ * ADDING A TAG:
+ * Add an entry to AMENITIES. Patterns are constants - never user input.
+ * \m and \M are PostgreSQL word boundaries ("\mfurnished" skips "unfurnished").
+ *
+ * CONNECTION TO OTHER FILES:
+ * - routes/searchQuery.js: amenityClause and the amenityTags column
+ * - routes/facets.js: amenities facet
+ * - index.js: GET /amenities lists the vocabulary for form.html
+ * =============================================================================
+ */
+
+// =============================================================================
+// VOCABULARY
+// =============================================================================
+/**
+ * tag: Value clients send and receive
+ * label/icon: Display text and Font Awesome icon for form.html
+ * columns: mls_properties columns searched
+ * pattern: Regular expression that must match one of the columns
+ * notPattern: Optional expression that must NOT match anywhere in the
+ *   columns (e.g. "No" / "Not allowed" for pets)
+ */
+const AMENITIES = [
+    { tag: 'cfe', label: 'CFE electricity', icon: 'bolt', columns: ['electric'], pattern: 'CFE' },
+    { tag: 'solar', label: 'Solar', icon: 'solar-panel', columns: ['electric', 'exteriorfeatures', 'interiorfeatures'], pattern: 'solar' },
+    { tag: 'generator', label: 'Generator', icon: 'charging-station', columns: ['electric', 'exteriorfeatures'], pattern: 'generat' },
+    { tag: 'waterWell', label: 'Water well', icon: 'tint', columns: ['exteriorfeatures', 'interiorfeatures'], pattern: '\\mwell\\M|\\mpozo' },
+    { tag: 'cistern', label: 'Cistern', icon: 'water', columns: ['exteriorfeatures', 'interiorfeatures'], pattern: 'cistern|aljibe|tinaco' },
+    { tag: 'pool', label: 'Pool', icon: 'swimming-pool', columns: ['poolfeatures'], pattern: 'Pool' },
+    { tag: 'gatedCommunity', label: 'Gated community', icon: 'shield-alt', columns: ['exteriorfeatures', 'interiorfeatures'], pattern: 'gated|guard|privada' },
+    { tag: 'oceanView', label: 'Ocean view', icon: 'water', columns: ['exteriorfeatures', 'interiorfeatures', 'patioandporchfeatures'], pattern: '(ocean|sea|bay|water) ?view|vista al mar' },
+    { tag: 'beachfront', label: 'Beachfront', icon: 'umbrella-beach', columns: ['exteriorfeatures', 'interiorfeatures'], pattern: '(beach|ocean) ?front|frente al mar' },
+    { tag: 'palapa', label: 'Palapa', icon: 'umbrella-beach', columns: ['exteriorfeatures', 'patioandporchfeatures'], pattern: 'palapa' },
+    { tag: 'roofTerrace', label: 'Roof terrace', icon: 'building', columns: ['patioandporchfeatures', 'exteriorfeatures'], pattern: 'roof ?(top|deck|terrace)|azotea' },
+    { tag: 'garage', label: 'Garage', icon: 'car', columns: ['exteriorfeatures', 'interiorfeatures'], pattern: 'garage|cochera' },
+    { tag: 'airConditioning', label: 'Air conditioning', icon: 'snowflake', columns: ['interiorfeatures'], pattern: 'air cond|\\ma/?c\\M|mini ?split' },
+    { tag: 'furnished', label: 'Furnished', icon: 'couch', columns: ['interiorfeatures'], pattern: '\\mfurnished|\\mamueblad' },
+    { tag: 'dishwasher', label: 'Dishwasher', icon: 'utensils', columns: ['kitchenappliances'], pattern: 'dish ?washer|lavavajillas' },
+    { tag: 'petsAllowed', label: 'Pets allowed', icon: 'paw', columns: ['petsallowed'], pattern: 'yes|allowed|cats|dogs|negotiable', notPattern: '\\mnot?\\M' }
+];
+
+/**
+ * Tags in vocabulary order
+ */
+const AMENITY_TAGS = AMENITIES.map(amenity => amenity.tag);
+
+// =============================================================================
+// SQL
+// =============================================================================
+
+/**
+ * amenityText - Text of a column that the tag patterns are matched against
+ * -----------------------------------------------------------------------------
+ * Feature columns hold JSON like {"Ocean View": true, "Pool": false}. Keys
+ * set to false (or null) are dropped first, so an unchecked feature never
+ * counts; then the JSON punctuation and true values are stripped, leaving
+ * the names of the features the listing has. Plain text passes through.
+ *
+ * @param {string} column - Column name from mls_properties
+ * @returns {string} SQL text expression (never NULL)
+ */
+function amenityText(column) {
+    const withoutUnset = `regexp_replace(coalesce(${column}::text, ''), '"[^"]*"\\s*:\\s*(false|null)', ' ', 'gi')`;
+    return `regexp_replace(${withoutUnset}, '"?\\mtrue\\M"?|[{}\\[\\]":,]', ' ', 'gi')`;
+}
+
+/**
+ * amenityCondition - SQL condition that is true when a listing has the tag
+ * -----------------------------------------------------------------------------
+ * amenityText() is never NULL, so the condition is always true/false and
+ * NOT (...) works for excluded amenities.
+ *
+ * @param {string} tag - Tag from AMENITIES
+ * @returns {string} SQL boolean expression
+ */
+function amenityCondition(tag) {
+    const amenity = AMENITIES.find(entry => entry.tag === tag);
+
+    const matches = amenity.columns.map(column => `${amenityText(column)} ~* '${amenity.pattern}'`).join(' OR ');
+    const excluded = amenity.notPattern
+        ? ` AND NOT (${amenity.columns.map(column => `${amenityText(column)} ~* '${amenity.notPattern}'`).join(' OR ')})`
+        : '';
+
+    return `((${matches})${excluded})`;
+}
+
+/**
+ * Condition per tag, built once
+ */
+const AMENITY_CONDITIONS = Object.fromEntries(AMENITY_TAGS.map(tag => [tag, amenityCondition(tag)]));
+
+/**
+ * SQL expression returning a listing's tags as a text array, e.g.
+ * {solar,oceanView}. Selected as "amenityTags" in search results.
+ */
+const AMENITY_TAGS_EXPRESSION = `array_remove(ARRAY[${AMENITY_TAGS.map(tag => `CASE WHEN ${AMENITY_CONDITIONS[tag]} THEN '${tag}' END`).join(', ')}]::text[], NULL)`;
+
+// =============================================================================
+// INPUT PARSING
+// =============================================================================
+
+/**
+ * parseAmenityList - Normalize a list of tags from the request body
+ * -----------------------------------------------------------------------------
+ * Accepts an array or a comma-separated string ("solar,oceanView").
+ *
+ * @param {*} value - Raw value from the request body
+ * @returns {Object} { tags: Array, unknown: Array }
+ */
+function parseAmenityList(value) {
+    if (value === undefined || value === null || value === '') return { tags: [], unknown: [] };
+
+    const list = Array.isArray(value) ? value : String(value).split(',');
+    const requested = [...new Set(list.map(item => String(item).trim()).filter(Boolean))];
+
+    return {
+        tags: requested.filter(tag => AMENITY_TAGS.includes(tag)),
+        unknown: requested.filter(tag => !AMENITY_TAGS.includes(tag))
+    };
+}
+
+/**
+ * amenityVocabulary - Public description of the tags for GET /amenities
+ * @returns {Array} [{ tag, label, icon }]
+ */
+function amenityVocabulary() {
+    return AMENITIES.map(({ tag, label, icon }) => ({ tag, label, icon }));
+}
+
+// =============================================================================
+// MODULE EXPORTS
+// =============================================================================
+module.exports = {
+    AMENITIES,
+    AMENITY_TAGS,
+    AMENITY_CONDITIONS,
+    AMENITY_TAGS_EXPRESSION,
+    amenityText,
+    amenityCondition,
+    parseAmenityList,
+    amenityVocabulary
+};
@@ -0,0 +1,191 @@
+/**
+ * =============================================================================
+ * CURRENCY MODULE (routes/currency.js)
+ * =============================================================================
+ *
+ * Baja listings are quoted in both US dollars and Mexican pesos. Each listing
+ * keeps the currency it was listed in (mls_properties.listingcurrency), and
+ * searches can ask for prices in either currency.
+ *
+ * EXCHANGE RATES:
+ * - Stored in the exchange_rates table as units of each currency per 1 USD
+ *   (USD = 1, MXN = 17.5 means 1 USD buys 17.5 MXN)
+ * - Seeded from DEFAULT_RATES (EXCHANGE_RATE_MXN env var) when the table is
+ *   created, then editable through PUT /exchange-rates/:currency
+ * - Cached in memory for RATE_CACHE_TTL_MS so every search doesn't re-read them
+ *
+ * HOW PRICES ARE COMPARED:
+ * - SQL converts every listing price to USD (BASE_CURRENCY) using the table,
+ *   so filters and sorts compare like with like
+ * - Price filters sent in another currency are converted to USD first
+ * - Returned prices are converted to the requested currency, keeping the
+ *   listed price and currency alongside
+ *
+ * CONNECTION TO index.js:
+ * - loadExchangeRates/convertListingPrices are used by fetchProperties()
+ * - GET/PUT /exchange-rates read and update the rate table
+ * =============================================================================
+ */
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+/**
+ * Currency every price is normalized to before comparing
+ */
+const BASE_CURRENCY = 'USD';
+
+/**
+ * Currencies clients may request
+ */
+const SUPPORTED_CURRENCIES = ['USD', 'MXN'];
+
+/**
+ * Units per 1 USD used to seed the exchange_rates table, and as a fallback
+ * for any currency missing from it
+ */
+const DEFAULT_RATES = {
+    USD: 1,
+    MXN: Number(process.env.EXCHANGE_RATE_MXN) || 17.5
+};
+
+/**
+ * How long loaded rates are reused before re-reading the table
+ */
+const RATE_CACHE_TTL_MS = 10 * 60 * 1000;
+
+let rateCache = null;
+let rateCacheLoadedAt = 0;
+
+// =============================================================================
+// RATE LOOKUP
+// =============================================================================
+
+/**
+ * loadExchangeRates - Current rates, from cache or the exchange_rates table
+ * -----------------------------------------------------------------------------
+ * @param {Object} client - PostgreSQL client
+ * @returns {Promise<Object>} { USD: 1, MXN: 17.5, ... }
+ */
+async function loadExchangeRates(client) {
+    if (rateCache && Date.now() - rateCacheLoadedAt < RATE_CACHE_TTL_MS) {
+        return rateCache;
+    }
+
+    const rates = { ...DEFAULT_RATES };
+    try {
+        const result = await client.query('SELECT currency, units_per_usd FROM exchange_rates');
+        result.rows.forEach(row => { rates[row.currency] = Number(row.units_per_usd); });
+    } catch (err) {
+        // Keep searching with the defaults if the table isn't there yet
+        console.error('-------⚠️ Could not load exchange rates, using defaults:', err.message);
+        return rates;
+    }
+
+    rateCache = rates;
+    rateCacheLoadedAt = Date.now();
+    console.log('-------✅ Loaded exchange rates:', JSON.stringify(rates));
+    return rates;
+}
+
+/**
+ * setExchangeRate - Insert or update one currency's rate
+ * -----------------------------------------------------------------------------
+ * @param {Object} client - PostgreSQL client
+ * @param {string} currency - Currency code (one of SUPPORTED_CURRENCIES)
+ * @param {number} unitsPerUsd - Units of currency per 1 USD
+ * @returns {Promise<Object>} The updated rates
+ */
+async function setExchangeRate(client, currency, unitsPerUsd) {
+    await client.query(
+        `INSERT INTO exchange_rates (currency, units_per_usd, updated_at)
+         VALUES ($1, $2, NOW())
+         ON CONFLICT (currency) DO UPDATE SET units_per_usd = EXCLUDED.units_per_usd, updated_at = NOW()`,
+        [currency, unitsPerUsd]
+    );
+    rateCache = null;
+    return loadExchangeRates(client);
+}
+
+// =============================================================================
+// CONVERSION
+// =============================================================================
+
+/**
+ * convertAmount - Convert an amount between two currencies
+ * -----------------------------------------------------------------------------
+ * @param {number} amount - Amount in the "from" currency
+ * @param {string} from - Currency code of amount
+ * @param {string} to - Currency code wanted
+ * @param {Object} rates - Rates from loadExchangeRates()
+ * @returns {number}
+ */
+function convertAmount(amount, from, to, rates = DEFAULT_RATES) {
+    if (amount === null || amount === undefined || from === to) return amount;
+    const fromRate = rates[from] || DEFAULT_RATES[from] || 1;
+    const toRate = rates[to] || DEFAULT_RATES[to] || 1;
+    return amount / fromRate * toRate;
+}
+
+/**
+ * convertListingPrices - Show each listing's price in the requested currency
+ * -----------------------------------------------------------------------------
+ * Adds to every listing:
+ * - currency: The currency currentpricepublic is now expressed in
+ * - originalPrice / originalCurrency: The price as listed on the MLS
+ * previousPrice (the price before the latest reduction) and closeprice (the
+ * sold price) are converted too.
+ *
+ * @param {Array} listings - Rows from mls_properties (modified in place)
+ * @param {string} currency - Requested currency code
+ * @param {Object} rates - Rates from loadExchangeRates()
+ * @returns {Array} The same listings
+ */
+function convertListingPrices(listings, currency, rates) {
+    for (const listing of listings) {
+        const originalCurrency = listing.listingcurrency || BASE_CURRENCY;
+        const originalPrice = listing.currentpricepublic;
+
+        listing.originalPrice = originalPrice;
+        listing.originalCurrency = originalCurrency;
+        listing.currency = currency;
+        if (originalPrice !== null && originalPrice !== undefined) {
+            listing.currentpricepublic = Math.round(convertAmount(Number(originalPrice), originalCurrency, currency, rates));
+        }
+        for (const field of ['previousPrice', 'closeprice']) {
+            if (listing[field] !== null && listing[field] !== undefined) {
+                listing[field] = Math.round(convertAmount(Number(listing[field]), originalCurrency, currency, rates));
+            }
+        }
+    }
+    return listings;
+}
+
+/**
+ * formatCurrency - Display an amount with its currency symbol
+ * -----------------------------------------------------------------------------
+ * @param {number} amount - Amount to display
+ * @param {string} currency - Currency code (defaults to BASE_CURRENCY)
+ * @returns {string} e.g. "$450,000.00" or "MX$7,875,000.00"
+ */
+function formatCurrency(amount, currency = BASE_CURRENCY) {
+    return new Intl.NumberFormat('en-US', {
+        style: 'currency',
+        currency,
+    }).format(amount);
+}
+
+// =============================================================================
+// MODULE EXPORTS
+// =============================================================================
+module.exports = {
+    BASE_CURRENCY,
+    SUPPORTED_CURRENCIES,
+    DEFAULT_RATES,
+    loadExchangeRates,
+    setExchangeRate,
+    convertAmount,
+    convertListingPrices,
+    formatCurrency
+};
@@ -0,0 +1,225 @@
+/**
+ * =============================================================================
+ * LISTING DETAILS CACHE WARMER (routes/detailsWarmer.js)
+ * =============================================================================
+ *
+ * Fills mls_properties_details ahead of time, so formatListingsRaw() finds
+ * photos, virtual tours and open houses in the cache instead of making the
+ * first visitor to an area wait for every Spark round-trip.
+ *
+ * HOW A RUN WORKS:
+ * 1. Walks WARMED_LISTINGS (on-market, active or coming soon) in id order,
+ *    batchSize listings at a time
+ * 2. For each listing, warmListingDetails() (routes/db.js) fetches the fields
+ *    that are missing or older than their DETAIL_FRESHNESS TTL and saves them
+ *    through insertPhotosOpensToursToDb(), the same path searches use
+ * 3. After each batch, progress and the last id done (cursor) are saved to
+ *    details_warmer_runs and logged with a rate and ETA
+ *
+ * RATE LIMITS:
+ * Spark calls go through one limiter: at most `concurrency` at once and at
+ * most `ratePerSecond` started per second. 429s are retried by the Spark
+ * client (routes/sparkClient.js). If any listing in a batch failed because
+ * Spark was unavailable (outage errors, breaker open), the run stops
+ * without moving the cursor past the batch.
+ *
+ * RESUMING:
+ * A run that stopped (breaker, Ctrl+C, crash) is picked up from its cursor by
+ * the next run, unless restart is set. Listings already warmed are skipped
+ * quickly because their fields are fresh.
+ *
+ * CONNECTION TO index.js:
+ * - None; runDetailsWarmer() is started by scripts/warmDetailsCache.js
+ *   (npm run warm-cache)
+ * =============================================================================
+ */
+
+const { DEFAULT_LISTING_STATUSES, listingStatusCondition } = require('./listingStatus');
+const {
+    SPARK_CONCURRENCY,
+    loadListingDetails,
+    warmListingDetails,
+    createLimiter
+} = require('./db');
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+const DEFAULT_WARMER_OPTIONS = {
+    batchSize: 50,
+    concurrency: SPARK_CONCURRENCY,
+    ratePerSecond: Number(process.env.WARMER_RATE_PER_SECOND) || 2,
+    restart: false,
+    maxListings: null,            // Stop after this many listings (null = all)
+    shouldStop: () => false       // Checked between batches (e.g. on SIGINT)
+};
+
+/**
+ * Listings worth warming: on-market and searched by default (pending and
+ * sold listings are opt-in and fetched on demand)
+ */
+const WARMED_LISTINGS = `off_market_at IS NULL AND ${listingStatusCondition(DEFAULT_LISTING_STATUSES)}`;
+
+// =============================================================================
+// RUN STATE
+// =============================================================================
+
+/**
+ * startOrResumeRun - Latest unfinished run, or a new one
+ * -----------------------------------------------------------------------------
+ * @param {Object} client - PostgreSQL client
+ * @param {boolean} restart - Abandon unfinished runs and start from the top
+ * @returns {Promise<Object>} details_warmer_runs row
+ */
+async function startOrResumeRun(client, restart) {
+    if (restart) {
+        await client.query(`UPDATE details_warmer_runs SET status = 'abandoned', updated_at = NOW() WHERE status <> 'finished' AND status <> 'abandoned'`);
+    } else {
+        const unfinished = await client.query(
+            `SELECT * FROM details_warmer_runs WHERE status <> 'finished' AND status <> 'abandoned' ORDER BY id DESC LIMIT 1`
+        );
+        if (unfinished.rows.length > 0) {
+            const run = unfinished.rows[0];
+            await client.query(`UPDATE details_warmer_runs SET status = 'running', last_error = NULL, updated_at = NOW() WHERE id = $1`, [run.id]);
+            console.log(`-------✅ Resuming cache warmer run #${run.id} after listing ${run.cursor} (${run.processed}/${run.total} done)`);
+            return run;
+        }
+    }
+
+    const total = await client.query(`SELECT COUNT(*)::int AS total FROM mls_properties WHERE ${WARMED_LISTINGS}`);
+    const created = await client.query(
+        'INSERT INTO details_warmer_runs (total) VALUES ($1) RETURNING *',
+        [total.rows[0].total]
+    );
+    console.log(`-------✅ Started cache warmer run #${created.rows[0].id} for ${created.rows[0].total} listings`);
+    return created.rows[0];
+}
+
+/**
+ * finishRun - Record how a run ended
+ */
+async function finishRun(client, run, status, lastError = null) {
+    await client.query(
+        `UPDATE details_warmer_runs
+         SET status = $1, last_error = $2, updated_at = NOW(),
+             finished_at = CASE WHEN $3 THEN NOW() ELSE finished_at END
+         WHERE id = $4`,
+        [status, lastError, status === 'finished', run.id]
+    );
+}
+
+/**
+ * loadBatch - Next listings after the cursor, in id order
+ */
+async function loadBatch(client, cursor, batchSize) {
+    const columns = 'id, photoscount, virtualtourscount, openhousescount';
+    const result = cursor === null || cursor === undefined
+        ? await client.query(`SELECT ${columns} FROM mls_properties WHERE ${WARMED_LISTINGS} ORDER BY id LIMIT $1`, [batchSize])
+        : await client.query(`SELECT ${columns} FROM mls_properties WHERE ${WARMED_LISTINGS} AND id > $1 ORDER BY id LIMIT $2`, [cursor, batchSize]);
+    return result.rows;
+}
+
+/**
+ * formatDuration - "1h 5m", "4m 10s" or "12s"
+ */
+function formatDuration(ms) {
+    const seconds = Math.round(ms / 1000);
+    if (seconds >= 3600) return `${Math.floor(seconds / 3600)}h ${Math.floor(seconds % 3600 / 60)}m`;
+    if (seconds >= 60) return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+    return `${seconds}s`;
+}
+
+// =============================================================================
+// WARMER
+// =============================================================================
+
+/**
+ * runDetailsWarmer - Pre-populate mls_properties_details
+ * -----------------------------------------------------------------------------
+ * @param {Object} client - PostgreSQL client
+ * @param {Object} options - Overrides for DEFAULT_WARMER_OPTIONS
+ * @returns {Promise<Object>} { runId, status, processed, total, fetched, failed }
+ *          status: "finished" | "stopped"
+ */
+async function runDetailsWarmer(client, options = {}) {
+    console.log("--------------🚀 IN detailsWarmer.js - runDetailsWarmer function");
+
+    const settings = { ...DEFAULT_WARMER_OPTIONS, ...options };
+    const limiter = createLimiter(settings.concurrency, 1000 / settings.ratePerSecond);
+    const run = await startOrResumeRun(client, settings.restart);
+
+    const startedAt = Date.now();
+    let cursor = run.cursor;
+    let processedThisRun = 0;
+    const totals = { processed: run.processed, fetched: run.fetched, failed: run.failed };
+    const summary = (status) => ({ runId: run.id, status, total: run.total, ...totals });
+
+    try {
+        while (true) {
+            if (settings.shouldStop()) {
+                await finishRun(client, run, 'stopped', 'Stopped by request');
+                console.log(`-------⚠️ Cache warmer run #${run.id} stopped after listing ${cursor}; run again to resume`);
+                return summary('stopped');
+            }
+
+            const remaining = settings.maxListings === null ? settings.batchSize : settings.maxListings - processedThisRun;
+            if (remaining <= 0) {
+                await finishRun(client, run, 'stopped', `Stopped after maxListings (${settings.maxListings})`);
+                return summary('stopped');
+            }
+
+            const batch = await loadBatch(client, cursor, Math.min(settings.batchSize, remaining));
+            if (batch.length === 0) break;
+
+            const detailsByMlsid = await loadListingDetails(batch.map(listing => listing.id), client);
+            const results = await Promise.all(batch.map(listing =>
+                warmListingDetails(listing, detailsByMlsid.get(String(listing.id)) || null, client, limiter.run)
+            ));
+
+            // Spark was down for part of the batch (the breaker may already be
+            // half-open again): keep the cursor before this batch so it is retried
+            if (results.some(result => result.outage)) {
+                await finishRun(client, run, 'stopped', 'Spark unavailable');
+                console.error(`-------⚠️ Cache warmer run #${run.id} stopped: Spark is unavailable. Run again to resume after listing ${cursor}`);
+                return summary('stopped');
+            }
+
+            cursor = String(batch[batch.length - 1].id);
+            processedThisRun += batch.length;
+            totals.processed += batch.length;
+            totals.fetched += results.reduce((sum, result) => sum + result.fetched, 0);
+            totals.failed += results.reduce((sum, result) => sum + result.failed, 0);
+
+            await client.query(
+                `UPDATE details_warmer_runs
+                 SET cursor = $1, processed = $2, fetched = $3, failed = $4, updated_at = NOW()
+                 WHERE id = $5`,
+                [cursor, totals.processed, totals.fetched, totals.failed, run.id]
+            );
+
+            const perSecond = processedThisRun / Math.max(1, (Date.now() - startedAt) / 1000);
+            const left = Math.max(0, run.total - totals.processed);
+            const percent = run.total > 0 ? Math.min(100, Math.round(totals.processed / run.total * 100)) : 100;
+            console.log(`-------✅ Cache warmer run #${run.id}: ${totals.processed}/${run.total} listings (${percent}%), ` +
+                `${totals.fetched} fields fetched, ${totals.failed} failed, ${perSecond.toFixed(1)} listings/s, ` +
+                `ETA ${formatDuration(left / perSecond * 1000)}`);
+        }
+
+        await finishRun(client, run, 'finished');
+        console.log(`-------✅ Cache warmer run #${run.id} finished: ${totals.processed} listings, ` +
+            `${totals.fetched} fields fetched, ${totals.failed} failed, in ${formatDuration(Date.now() - startedAt)}`);
+        return summary('finished');
+    } catch (err) {
+        await finishRun(client, run, 'failed', err.message).catch(() => {});
+        throw err;
+    }
+}
+
+// =============================================================================
+// MODULE EXPORTS
+// =============================================================================
+module.exports = {
+    DEFAULT_WARMER_OPTIONS,
+    runDetailsWarmer
+};
@@ -0,0 +1,275 @@
+/**
+ * =============================================================================
+ * SEARCH FACETS MODULE (routes/facets.js)
+ * =============================================================================
+ *
+ * Counts how many listings each filter option would return, so the search
+ * form can show "(12)" next to an option before the user picks it.
+ *
+ * Every facet is computed with all OTHER active filters applied, but with its
+ * own filter switched off. Example: with propertyType = "Condo" and
+ * bedrooms = 2, the propertyType counts use bedrooms = 2 only, so the user can
+ * still see how many houses they would get by switching type.
+ *
+ * FACET TYPES:
+ * - Group facets: COUNT per distinct column value (MLS type label, area, city)
+ * - Bucket facets: COUNT per fixed condition (property type category,
+ *   listing status, bedrooms, bathrooms, price bands, amenity tags,
+ *   feature flags)
+ *
+ * CONNECTION TO index.js:
+ * - computeFacets is called by the POST /facets endpoint
+ * =============================================================================
+ */
+
+const { BASE_CURRENCY, convertAmount } = require('./currency');
+const { AMENITY_TAGS, AMENITY_CONDITIONS } = require('./amenities');
+const { PROPERTY_TYPES, PROPERTY_TYPE_CONDITIONS } = require('./propertyTypes');
+const { LISTING_STATUSES, LISTING_STATUS_VALUES, LISTING_STATUS_CONDITIONS } = require('./listingStatus');
+const {
+    FEATURE_CONDITIONS,
+    PRICE_USD_EXPRESSION,
+    createQueryParams,
+    buildWhereClause
+} = require('./searchQuery');
+
+// =============================================================================
+// FACET DEFINITIONS
+// =============================================================================
+/**
+ * ignore: Filter values overridden while computing the facet (its own filter)
+ */
+
+/**
+ * Facets counted per distinct column value
+ */
+const GROUP_FACETS = [
+    { name: 'propertyTypeLabel', column: 'propertytypelabel', ignore: { propertyType: null } },
+    { name: 'area', column: 'mlsareamajor', ignore: { location: null } },
+    { name: 'city', column: 'city', ignore: { location: null } }
+];
+
+/**
+ * Minimum counts offered by the bedroom/bathroom selects ("1+" ... "5+")
+ */
+const MINIMUM_BUCKETS = [1, 2, 3, 4, 5];
+
+/**
+ * Price bands offered by the priceRange select in form.html, in the
+ * currency of the request
+ */
+const PRICE_BANDS = [
+    { value: '0-100000', min: 0, max: 100000 },
+    { value: '100000-200000', min: 100000, max: 200000 },
+    { value: '200000-300000', min: 200000, max: 300000 },
+    { value: '300000-400000', min: 300000, max: 400000 },
+    { value: '400000-', min: 400000, max: null }
+];
+
+/**
+ * Feature flags reported by the features facet
+ */
+const FEATURE_FACETS = ['cfe', 'pool', 'openHouse', 'virtualTour'];
+
+/**
+ * priceBandCondition - SQL condition for one price band
+ * -----------------------------------------------------------------------------
+ * Band amounts are in the requested currency, so they are converted to USD to
+ * compare with PRICE_USD_EXPRESSION. The numbers come from PRICE_BANDS and
+ * the rate table, never from user input.
+ */
+function priceBandCondition(band, filters, context = {}) {
+    const toBase = (value) => convertAmount(value, filters.currency || BASE_CURRENCY, BASE_CURRENCY, context.rates);
+    return band.max === null
+        ? `${PRICE_USD_EXPRESSION} >= ${toBase(band.min)}`
+        : `${PRICE_USD_EXPRESSION} BETWEEN ${toBase(band.min)} AND ${toBase(band.max)}`;
+}
+
+/**
+ * Facets counted per fixed condition. Conditions only contain constants
+ * defined above, never user input. A condition may be a function of
+ * (filters, context) when it depends on the request (price bands).
+ */
+const BUCKET_FACETS = [
+    {
+        name: 'propertyType',
+        ignore: { propertyType: null },
+        buckets: PROPERTY_TYPES.map(type => ({ value: type.value, condition: PROPERTY_TYPE_CONDITIONS[type.value] }))
+    },
+    {
+        name: 'status',
+        ignore: { status: LISTING_STATUS_VALUES },
+        buckets: LISTING_STATUSES.map(status => ({ value: status.value, condition: LISTING_STATUS_CONDITIONS[status.value] }))
+    },
+    {
+        name: 'bedrooms',
+        ignore: { bedrooms: null },
+        buckets: MINIMUM_BUCKETS.map(n => ({ value: String(n), condition: `bedstotal >= ${n}` }))
+    },
+    {
+        name: 'bathrooms',
+        ignore: { bathrooms: null },
+        buckets: MINIMUM_BUCKETS.map(n => ({ value: String(n), condition: `bathsfull >= ${n}` }))
+    },
+    {
+        name: 'priceRange',
+        ignore: { minPrice: null, maxPrice: null },
+        buckets: PRICE_BANDS.map(band => ({
+            value: band.value,
+            condition: (filters, context) => priceBandCondition(band, filters, context)
+        }))
+    },
+    {
+        name: 'amenities',
+        ignore: { amenities: [] },
+        buckets: AMENITY_TAGS.map(tag => ({ value: tag, condition: AMENITY_CONDITIONS[tag] }))
+    },
+    // One facet per feature flag, so each flag's count ignores only itself
+    ...FEATURE_FACETS.map(flag => ({
+        name: flag,
+        group: 'features',
+        ignore: { [flag]: false },
+        buckets: [{ value: flag, condition: FEATURE_CONDITIONS[flag] }]
+    }))
+];
+
+// =============================================================================
+// QUERY BUILDING
+// =============================================================================
+
+/**
+ * buildGroupFacetQuery - COUNT per distinct value of one column
+ * -----------------------------------------------------------------------------
+ * @param {Object} facet - Entry from GROUP_FACETS
+ * @param {Object} filters - Validated filter object
+ * @param {Object} context - Extra resolved data (locationMatches)
+ * @returns {Object} { text, values } - rows of { value, count }
+ */
+function buildGroupFacetQuery(facet, filters, context = {}) {
+    const params = createQueryParams();
+    const where = buildWhereClause({ ...filters, ...facet.ignore }, params, context);
+
+    const text = `SELECT ${facet.column} AS value, COUNT(*)::int AS count FROM mls_properties WHERE ${where} AND ${facet.column} IS NOT NULL GROUP BY ${facet.column} ORDER BY count DESC, value ASC`;
+
+    return { text, values: params.values };
+}
+
+/**
+ * filterSetKey - Identify a filter set, so facets sharing one share a WHERE
+ * -----------------------------------------------------------------------------
+ * Keys are sorted and unset (null/undefined) values dropped, so a facet whose
+ * own filter isn't active gets the same key as the plain filter set.
+ */
+function filterSetKey(filters) {
+    const entries = Object.keys(filters)
+        .filter(key => filters[key] !== null && filters[key] !== undefined)
+        .sort()
+        .map(key => [key, filters[key]]);
+    return JSON.stringify(entries);
+}
+
+/**
+ * buildBucketFacetsQuery - Every bucket count and the total, in a single row
+ * -----------------------------------------------------------------------------
+ * Each bucket is counted with COUNT(*) FILTER over its facet's WHERE (the
+ * filters minus the facet's own) and its condition. Facets with the same
+ * filter set share one WHERE, and the rows scanned are those matching any of
+ * them, so one pass over mls_properties answers every bucket facet.
+ *
+ * @param {Object} filters - Validated filter object
+ * @param {Object} context - Extra resolved data (locationMatches, rates)
+ * @returns {Object} { text, values } - one row with total and columns
+ *          f<facet>_b<bucket> (indexes into BUCKET_FACETS and its buckets)
+ */
+function buildBucketFacetsQuery(filters, context = {}) {
+    const params = createQueryParams();
+    const wheres = new Map();
+    const whereFor = (facetFilters) => {
+        const key = filterSetKey(facetFilters);
+        if (!wheres.has(key)) wheres.set(key, buildWhereClause(facetFilters, params, context));
+        return wheres.get(key);
+    };
+
+    const counts = [`(COUNT(*) FILTER (WHERE ${whereFor(filters)}))::int AS total`];
+
+    BUCKET_FACETS.forEach((facet, facetIndex) => {
+        const where = whereFor({ ...filters, ...facet.ignore });
+        facet.buckets.forEach((bucket, index) => {
+            const condition = typeof bucket.condition === 'function' ? bucket.condition(filters, context) : bucket.condition;
+            counts.push(`(COUNT(*) FILTER (WHERE (${where}) AND (${condition})))::int AS f${facetIndex}_b${index}`);
+        });
+    });
+
+    const scanned = [...wheres.values()].map(where => `(${where})`).join(' OR ');
+    const text = `SELECT ${counts.join(', ')} FROM mls_properties WHERE ${scanned}`;
+
+    return { text, values: params.values };
+}
+
+// =============================================================================
+// FACET COMPUTATION
+// =============================================================================
+
+/**
+ * computeFacets - Run every facet query for a filter set
+ * -----------------------------------------------------------------------------
+ * One GROUP BY query per group facet, plus one query for all bucket facets
+ * and the total (buildBucketFacetsQuery).
+ *
+ * @param {Object} filters - Validated filter object (same as /search)
+ * @param {Object} context - Extra resolved data (locationMatches)
+ * @param {Object} client - PostgreSQL client
+ * @returns {Object} { total, facets }
+ *
+ * FACETS STRUCTURE:
+ * {
+ *   propertyType: [{ value: "Houses", count: 42 }, ...],   // Taxonomy categories
+ *   propertyTypeLabel: [{ value: "Single Family Residence", count: 40 }, ...],
+ *   area: [{ value: "SJD-East", count: 18 }, ...],
+ *   city: [{ value: "San José del Cabo", count: 60 }, ...],
+ *   bedrooms: [{ value: "1", count: 80 }, { value: "2", count: 61 }, ...],
+ *   bathrooms: [...],
+ *   priceRange: [{ value: "0-100000", count: 7 }, ...],
+ *   amenities: [{ value: "solar", count: 12 }, ...],
+ *   features: { cfe: 40, pool: 22, openHouse: 3, virtualTour: 15 }
+ * }
+ */
+async function computeFacets(filters, context, client) {
+    console.log("--------------🚀 IN facets.js - computeFacets function");
+
+    const facets = { features: {} };
+
+    for (const facet of GROUP_FACETS) {
+        const query = buildGroupFacetQuery(facet, filters, context);
+        const result = await client.query(query.text, query.values);
+        facets[facet.name] = result.rows;
+    }
+
+    const query = buildBucketFacetsQuery(filters, context);
+    const result = await client.query(query.text, query.values);
+    const row = result.rows[0] || {};
+
+    BUCKET_FACETS.forEach((facet, facetIndex) => {
+        const counts = facet.buckets.map((bucket, index) => ({ value: bucket.value, count: row[`f${facetIndex}_b${index}`] || 0 }));
+
+        if (facet.group === 'features') {
+            facets.features[facet.name] = counts[0].count;
+        } else {
+            facets[facet.name] = counts;
+        }
+    });
+
+    return { total: row.total || 0, facets };
+}
+
+// =============================================================================
+// MODULE EXPORTS
+// =============================================================================
+module.exports = {
+    GROUP_FACETS,
+    BUCKET_FACETS,
+    PRICE_BANDS,
+    buildGroupFacetQuery,
+    buildBucketFacetsQuery,
+    computeFacets
+};
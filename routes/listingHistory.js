@@ -0,0 +1,96 @@
+/**
+ * =============================================================================
+ * LISTING HISTORY MODULE (routes/listingHistory.js)
+ * =============================================================================
+ *
+ * Reads the price and status history of a listing from listing_history.
+ *
+ * HOW IT IS RECORDED:
+ * A trigger on mls_properties (record_listing_history, see routes/schema.js)
+ * adds a row when a listing is inserted and whenever currentpricepublic or
+ * mlsstatus changes, whoever writes the row. Listings that existed before
+ * the table start with one row holding their current price (migration 003
+ * in routes/migrations.js).
+ *
+ * Search filters on the same table (reducedWithinDays, minReductionPercent)
+ * are priceReductionClause() in routes/searchQuery.js.
+ *
+ * CONNECTION TO index.js:
+ * - GET /listings/:id/history calls loadListingHistory()
+ * =============================================================================
+ */
+
+const { BASE_CURRENCY, convertAmount } = require('./currency');
+const { onMarketClause } = require('./searchQuery');
+
+// =============================================================================
+// HISTORY
+// =============================================================================
+
+/**
+ * formatHistoryRow - One change in the requested currency
+ * -----------------------------------------------------------------------------
+ * @param {Object} row - listing_history row
+ * @param {string} currency - Currency wanted
+ * @param {Object} rates - From loadExchangeRates()
+ * @returns {Object} { changedAt, price, previousPrice, changePercent, status,
+ *          previousStatus, originalPrice, originalCurrency }
+ */
+function formatHistoryRow(row, currency, rates) {
+    const originalCurrency = row.currency || BASE_CURRENCY;
+    const convert = (amount) => (amount === null || amount === undefined
+        ? null
+        : Math.round(convertAmount(Number(amount), originalCurrency, currency, rates)));
+
+    const price = row.price === null ? null : Number(row.price);
+    const previousPrice = row.previous_price === null ? null : Number(row.previous_price);
+    const changePercent = price !== null && previousPrice
+        ? Math.round((price - previousPrice) / previousPrice * 1000) / 10
+        : null;
+
+    return {
+        changedAt: row.changed_at,
+        price: convert(price),
+        previousPrice: convert(previousPrice),
+        changePercent,
+        status: row.status,
+        previousStatus: row.previous_status,
+        originalPrice: price,
+        originalCurrency
+    };
+}
+
+/**
+ * loadListingHistory - Price and status changes of one listing, oldest first
+ * -----------------------------------------------------------------------------
+ * @param {string} id - mls_properties.id
+ * @param {Object} options - { currency, rates }
+ * @param {Object} client - PostgreSQL client
+ * @returns {Promise<Array|null>} Rows from formatHistoryRow(), or null when
+ *          the listing has no history (unknown id) or is off-market, like
+ *          GET /listings/:id
+ */
+async function loadListingHistory(id, options, client) {
+    console.log("--------------🚀 IN listingHistory.js - loadListingHistory function");
+
+    const result = await client.query(
+        `SELECT changed_at, price, previous_price, currency, status, previous_status
+         FROM listing_history
+         WHERE listing_id = $1
+           AND EXISTS (SELECT 1 FROM mls_properties WHERE id = $2 AND ${onMarketClause()})
+         ORDER BY changed_at, id`,
+        [String(id), String(id)]
+    );
+    if (result.rows.length === 0) return null;
+
+    const currency = options.currency || BASE_CURRENCY;
+    return result.rows.map(row => formatHistoryRow(row, currency, options.rates));
+}
+
+// =============================================================================
+// MODULE EXPORTS
+// =============================================================================
+module.exports = {
+    formatHistoryRow,
+    loadListingHistory
+};
@@ -0,0 +1,145 @@
+/**
+ * =============================================================================
+ * LISTING STATUS VOCABULARY (routes/listingStatus.js)
+ * =============================================================================
+ *
+ * Maps the MLS lifecycle status (mls_properties.mlsstatus, e.g. "Active",
+ * "Active Under Contract", "Closed") onto the statuses clients filter by:
+ * active, comingSoon, pending, sold and withdrawn. It is used to:
+ * - Filter /search by status (status), defaulting to DEFAULT_LISTING_STATUSES
+ * - Return each listing's status ("listingStatus") for the card badges
+ * - Count listings per status for /facets
+ * - Build the status toggles in form.html (GET /listing-statuses)
+ *
+ * Withdrawn, expired and canceled listings are off-market (off_market_at,
+ * see routes/listingSync.js), and searches leave off-market rows out.
+ * Statuses marked offMarket (withdrawn) are the exception: selecting one
+ * returns its listings even though they are off-market (onMarketClause in
+ * routes/searchQuery.js). Expired and canceled listings have no status and
+ * stay hidden. Rows without an mlsstatus (loaded before the listing sync)
+ * count as active.
+ *
+ * ADDING AN MLS VALUE:
+ * Edit LISTING_STATUSES. mlsStatuses are compared case-insensitively.
+ * =============================================================================
+ */
+
+// =============================================================================
+// VOCABULARY
+// =============================================================================
+/**
+ * value: Value clients send in status and receive as listingStatus
+ * label/icon: Display text and Font Awesome icon for form.html
+ * mlsStatuses: mlsstatus values with this status
+ * offMarket: Listings are off-market; opt-in only (never a default)
+ */
+const LISTING_STATUSES = [
+    { value: 'active', label: 'Active', icon: 'check-circle', mlsStatuses: ['Active'] },
+    { value: 'comingSoon', label: 'Coming Soon', icon: 'hourglass-start', mlsStatuses: ['Coming Soon'] },
+    {
+        value: 'pending',
+        label: 'Pending',
+        icon: 'file-signature',
+        mlsStatuses: ['Pending', 'Active Under Contract', 'Under Contract', 'Contingent']
+    },
+    { value: 'sold', label: 'Sold', icon: 'handshake', mlsStatuses: ['Closed', 'Sold'] },
+    { value: 'withdrawn', label: 'Withdrawn', icon: 'ban', mlsStatuses: ['Withdrawn'], offMarket: true }
+];
+
+const LISTING_STATUS_VALUES = LISTING_STATUSES.map(status => status.value);
+
+/**
+ * Statuses whose listings are returned although they are off-market
+ */
+const OFF_MARKET_LISTING_STATUSES = LISTING_STATUSES.filter(status => status.offMarket).map(status => status.value);
+
+/**
+ * Statuses searched when the client doesn't send status. Pending, sold and
+ * withdrawn listings are opt-in (comparables).
+ */
+const DEFAULT_LISTING_STATUSES = ['active', 'comingSoon'];
+
+// =============================================================================
+// SQL
+// =============================================================================
+
+/**
+ * Condition per status, built from the constants above only
+ */
+const LISTING_STATUS_CONDITIONS = Object.fromEntries(LISTING_STATUSES.map(status => {
+    const list = status.mlsStatuses.map(value => `'${value.toLowerCase().replace(/'/g, "''")}'`).join(', ');
+    const condition = `lower(mlsstatus) IN (${list})`;
+    return [status.value, status.value === 'active' ? `(mlsstatus IS NULL OR ${condition})` : `(${condition})`];
+}));
+
+/**
+ * SQL expression returning a listing's status value, or NULL when its
+ * mlsstatus isn't listed. Selected as "listingStatus" in results.
+ */
+const LISTING_STATUS_EXPRESSION = `CASE ${LISTING_STATUSES
+    .map(status => `WHEN ${LISTING_STATUS_CONDITIONS[status.value]} THEN '${status.value}'`)
+    .join(' ')} END`;
+
+/**
+ * listingStatusCondition - SQL condition matching any of the given statuses
+ * @param {Array} values - Status values from parseListingStatusList()
+ * @returns {string} SQL condition
+ */
+function listingStatusCondition(values) {
+    const conditions = values.map(value => LISTING_STATUS_CONDITIONS[value]);
+    return conditions.length === 1 ? conditions[0] : `(${conditions.join(' OR ')})`;
+}
+
+// =============================================================================
+// INPUT PARSING
+// =============================================================================
+
+/**
+ * parseListingStatusList - Normalize status from the request body
+ * -----------------------------------------------------------------------------
+ * Accepts an array or a comma-separated string ("active,pending").
+ *
+ * @param {*} value - Raw value from the request body
+ * @returns {Object} { statuses: Array|null (null when none were sent), unknown: Array }
+ */
+function parseListingStatusList(value) {
+    if (value === undefined || value === null || value === '') return { statuses: null, unknown: [] };
+
+    const list = Array.isArray(value) ? value : String(value).split(',');
+    const requested = [...new Set(list.map(item => String(item).trim()).filter(Boolean))];
+    const statuses = requested.filter(status => LISTING_STATUS_VALUES.includes(status));
+
+    return {
+        statuses: statuses.length > 0 ? statuses : null,
+        unknown: requested.filter(status => !LISTING_STATUS_VALUES.includes(status))
+    };
+}
+
+/**
+ * listingStatusVocabulary - The statuses as returned by GET /listing-statuses
+ * @returns {Array} [{ value, label, icon, mlsStatuses, default }]
+ */
+function listingStatusVocabulary() {
+    return LISTING_STATUSES.map(({ value, label, icon, mlsStatuses }) => ({
+        value,
+        label,
+        icon,
+        mlsStatuses,
+        default: DEFAULT_LISTING_STATUSES.includes(value)
+    }));
+}
+
+// =============================================================================
+// MODULE EXPORTS
+// =============================================================================
+module.exports = {
+    LISTING_STATUSES,
+    LISTING_STATUS_VALUES,
+    OFF_MARKET_LISTING_STATUSES,
+    DEFAULT_LISTING_STATUSES,
+    LISTING_STATUS_CONDITIONS,
+    LISTING_STATUS_EXPRESSION,
+    listingStatusCondition,
+    parseListingStatusList,
+    listingStatusVocabulary
+};
@@ -0,0 +1,398 @@
+/**
+ * =============================================================================
+ * LISTING SYNC MODULE (routes/listingSync.js)
+ * =============================================================================
+ *
+ * Fills mls_properties from the Spark replication API (/v1/listings).
+ *
+ * MODES:
+ * - full: Pages through every listing. Listings that were not returned are
+ *   marked off-market (off_market_at), since Spark no longer publishes them.
+ * - incremental: Only listings whose ModificationTimestamp is after the last
+ *   finished run's watermark (minus WATERMARK_OVERLAP_MS, so edits saved
+ *   while that run was paging are not missed). Falls back to full when no
+ *   run has finished yet.
+ *
+ * UPSERTS:
+ * Rows are upserted on the unique index over mls_properties.id (built by the
+ * first migration, see routes/migrations.js), so running a sync twice never
+ * duplicates a listing.
+ * Listings whose MlsStatus is in OFF_MARKET_STATUSES are marked off-market
+ * too, and go back on the market if their status changes again.
+ *
+ * ERRORS:
+ * A chunk that fails to upsert is retried one row at a time; rows that still
+ * fail are recorded in listing_sync_runs.errors and the sync carries on. A
+ * page that Spark fails to return (after the client's retries) fails the
+ * run. Off-market marking only happens after a full sync read every page.
+ *
+ * CONNECTION TO index.js:
+ * - GET /listing-sync-runs lists recent runs (listSyncRuns())
+ * - runListingSync() is started by scripts/syncListings.js
+ *   (npm run sync-listings)
+ * =============================================================================
+ */
+
+const { sparkClient } = require('./sparkClient');
+const { FIELD_LIST, FILTER_COLUMNS, createQueryParams } = require('./searchQuery');
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+const DEFAULT_SYNC_OPTIONS = {
+    full: false,                  // Force a full sync
+    pageSize: Number(process.env.LISTING_SYNC_PAGE_SIZE) || 500,
+    maxPages: null,               // Stop after this many pages (null = all)
+    spark: sparkClient
+};
+
+/**
+ * Rows per INSERT ... ON CONFLICT statement
+ */
+const UPSERT_CHUNK_SIZE = 100;
+
+/**
+ * Most errors kept on a run row
+ */
+const MAX_RECORDED_ERRORS = 100;
+
+/**
+ * How far before the last watermark an incremental sync starts
+ */
+const WATERMARK_OVERLAP_MS = 10 * 60 * 1000;
+
+/**
+ * MlsStatus values that take a listing off the market
+ */
+const OFF_MARKET_STATUSES = ['Withdrawn', 'Expired', 'Canceled', 'Cancelled', 'Deleted'];
+
+/**
+ * Spark's placeholder for fields the API key may not see
+ */
+const MASKED_VALUE = '********';
+
+/**
+ * Columns copied from each listing's StandardFields (lowercased field names):
+ * everything searches return, filter or count on, plus the modification time.
+ * listingcurrency is not a Spark field and keeps its default.
+ */
+const SYNC_COLUMNS = FIELD_LIST.split(',')
+    .map(column => column.trim())
+    .filter(column => column && column !== 'id' && column !== 'listingcurrency')
+    .concat(FILTER_COLUMNS, ['modificationtimestamp']);
+
+// =============================================================================
+// MAPPING
+// =============================================================================
+
+/**
+ * normalizeValue - Spark field value as stored in mls_properties
+ * -----------------------------------------------------------------------------
+ * Feature fields come as objects like {"Ocean View": true} and are stored as
+ * JSON, the same shape featureText() in routes/searchQuery.js reads.
+ * Masked and empty values are stored as NULL.
+ */
+function normalizeValue(value) {
+    if (value === undefined || value === null || value === '' || value === MASKED_VALUE) return null;
+    if (typeof value === 'object') return JSON.stringify(value);
+    return value;
+}
+
+/**
+ * mapListing - mls_properties row for one /listings result
+ * -----------------------------------------------------------------------------
+ * @param {Object} result - { Id, StandardFields: { ListingId, City, ... } }
+ * @returns {Object|null} { id, mlsstatus, modificationtimestamp, offMarket,
+ *          values: [one per SYNC_COLUMNS] }, or null without an id
+ */
+function mapListing(result) {
+    const standardFields = (result && result.StandardFields) || {};
+    const fields = {};
+    for (const [name, value] of Object.entries(standardFields)) {
+        fields[name.toLowerCase()] = value;
+    }
+
+    const id = normalizeValue(result && (result.Id || standardFields.ListingKey));
+    if (id === null) return null;
+
+    const values = SYNC_COLUMNS.map(column => normalizeValue(fields[column]));
+    const mlsstatus = normalizeValue(fields.mlsstatus);
+    return {
+        id: String(id),
+        mlsstatus,
+        modificationtimestamp: normalizeValue(fields.modificationtimestamp),
+        offMarket: OFF_MARKET_STATUSES.includes(mlsstatus),
+        values
+    };
+}
+
+// =============================================================================
+// UPSERTS
+// =============================================================================
+
+/**
+ * buildUpsertQuery - INSERT ... ON CONFLICT (id) DO UPDATE for mapped rows
+ * -----------------------------------------------------------------------------
+ * A field Spark leaves out (or masks) keeps the value already stored, so a
+ * partial payload never blanks a listing. off_market_at keeps the time a
+ * listing first went off-market, and is cleared when it comes back.
+ *
+ * @param {Array} rows - From mapListing()
+ * @param {number} runId - listing_sync_runs.id, saved as last_sync_run_id
+ * @returns {Object} { text, values }
+ */
+function buildUpsertQuery(rows, runId) {
+    const params = createQueryParams();
+    const columns = ['id', ...SYNC_COLUMNS, 'off_market_at', 'last_sync_run_id'];
+
+    const tuples = rows.map(row => {
+        const placeholders = [
+            params.add(row.id),
+            ...row.values.map(value => params.add(value)),
+            `CASE WHEN ${params.add(row.offMarket)}::boolean THEN NOW() END`,
+            params.add(runId)
+        ];
+        return `(${placeholders.join(', ')})`;
+    });
+
+    const updates = columns
+        .filter(column => column !== 'id' && column !== 'off_market_at')
+        .map(column => (column === 'last_sync_run_id'
+            ? `${column} = EXCLUDED.${column}`
+            : `${column} = COALESCE(EXCLUDED.${column}, mls_properties.${column})`));
+    updates.push('off_market_at = CASE WHEN EXCLUDED.off_market_at IS NULL THEN NULL ' +
+        'ELSE COALESCE(mls_properties.off_market_at, EXCLUDED.off_market_at) END');
+
+    const text = `INSERT INTO mls_properties (${columns.join(', ')})
+        VALUES ${tuples.join(', ')}
+        ON CONFLICT (id) DO UPDATE SET ${updates.join(', ')}`;
+
+    return { text, values: params.values };
+}
+
+/**
+ * upsertListings - Save mapped rows, UPSERT_CHUNK_SIZE at a time
+ * -----------------------------------------------------------------------------
+ * @returns {Promise<Object>} { upserted, failures: [{ listingId, message }] }
+ */
+async function upsertListings(rows, runId, client) {
+    let upserted = 0;
+    const failures = [];
+
+    for (let start = 0; start < rows.length; start += UPSERT_CHUNK_SIZE) {
+        const chunk = rows.slice(start, start + UPSERT_CHUNK_SIZE);
+        try {
+            const query = buildUpsertQuery(chunk, runId);
+            await client.query(query.text, query.values);
+            upserted += chunk.length;
+        } catch (err) {
+            // One bad row fails the whole statement: find it
+            for (const row of chunk) {
+                try {
+                    const query = buildUpsertQuery([row], runId);
+                    await client.query(query.text, query.values);
+                    upserted++;
+                } catch (rowErr) {
+                    failures.push({ listingId: row.id, message: rowErr.message });
+                }
+            }
+        }
+    }
+
+    return { upserted, failures };
+}
+
+// =============================================================================
+// RUN STATE
+// =============================================================================
+
+/**
+ * startRun - New listing_sync_runs row, with the mode and watermark to use
+ * -----------------------------------------------------------------------------
+ * @param {Object} client - PostgreSQL client
+ * @param {boolean} full - Force a full sync
+ * @returns {Promise<Object>} listing_sync_runs row
+ */
+async function startRun(client, full) {
+    let modifiedSince = null;
+    if (!full) {
+        const previous = await client.query(
+            `SELECT watermark FROM listing_sync_runs
+             WHERE status = 'finished' AND watermark IS NOT NULL
+             ORDER BY id DESC LIMIT 1`
+        );
+        if (previous.rows.length > 0) {
+            modifiedSince = new Date(new Date(previous.rows[0].watermark).getTime() - WATERMARK_OVERLAP_MS);
+        }
+    }
+
+    const created = await client.query(
+        'INSERT INTO listing_sync_runs (mode, modified_since, watermark) VALUES ($1, $2, $2) RETURNING *',
+        [modifiedSince ? 'incremental' : 'full', modifiedSince]
+    );
+    return created.rows[0];
+}
+
+/**
+ * saveProgress - Write counters, watermark and errors to the run row
+ */
+async function saveProgress(client, run, status = null) {
+    await client.query(
+        `UPDATE listing_sync_runs
+         SET pages = $1, fetched = $2, upserted = $3, marked_off_market = $4,
+             errors = $5::jsonb, watermark = $6,
+             status = COALESCE($7::varchar, status),
+             finished_at = CASE WHEN $7::varchar IS NULL THEN finished_at ELSE NOW() END
+         WHERE id = $8`,
+        [run.pages, run.fetched, run.upserted, run.marked_off_market,
+            JSON.stringify(run.errors), run.watermark, status, run.id]
+    );
+}
+
+/**
+ * recordError - Keep an error on the run, up to MAX_RECORDED_ERRORS
+ */
+function recordError(run, error) {
+    if (run.errors.length < MAX_RECORDED_ERRORS) {
+        run.errors.push({ at: new Date().toISOString(), ...error });
+    }
+}
+
+// =============================================================================
+// SYNC
+// =============================================================================
+
+/**
+ * markOffMarket - Off-market every listing a full sync did not return
+ * -----------------------------------------------------------------------------
+ * Listings whose upsert failed were returned by Spark, so they are left alone.
+ *
+ * @returns {Promise<number>} Rows marked
+ */
+async function markOffMarket(client, runId, failedIds) {
+    const result = await client.query(
+        `UPDATE mls_properties SET off_market_at = NOW()
+         WHERE off_market_at IS NULL
+           AND last_sync_run_id IS DISTINCT FROM $1
+           AND NOT (id::text = ANY($2::text[]))`,
+        [runId, failedIds]
+    );
+    return result.rowCount;
+}
+
+/**
+ * runListingSync - Pull listings from Spark into mls_properties
+ * -----------------------------------------------------------------------------
+ * @param {Object} client - PostgreSQL client
+ * @param {Object} options - Overrides for DEFAULT_SYNC_OPTIONS
+ * @returns {Promise<Object>} { runId, mode, status, pages, fetched, upserted,
+ *          markedOffMarket, errors }
+ *          status: "finished" | "stopped" (maxPages reached)
+ */
+async function runListingSync(client, options = {}) {
+    console.log("--------------🚀 IN listingSync.js - runListingSync function");
+
+    const settings = { ...DEFAULT_SYNC_OPTIONS, ...options };
+    const run = { ...(await startRun(client, settings.full)), errors: [] };
+    const failedIds = [];
+    const summary = (status) => ({
+        runId: run.id,
+        mode: run.mode,
+        status,
+        pages: run.pages,
+        fetched: run.fetched,
+        upserted: run.upserted,
+        markedOffMarket: run.marked_off_market,
+        errors: run.errors.length
+    });
+
+    console.log(`-------✅ Started ${run.mode} listing sync run #${run.id}` +
+        (run.modified_since ? ` (modified since ${new Date(run.modified_since).toISOString()})` : ''));
+
+    try {
+        const params = { _limit: settings.pageSize, _orderby: 'ModificationTimestamp' };
+        if (run.modified_since) {
+            params._filter = `ModificationTimestamp Gt ${new Date(run.modified_since).toISOString()}`;
+        }
+
+        for (let page = 1; ; page++) {
+            if (settings.maxPages !== null && page > settings.maxPages) {
+                await saveProgress(client, run, 'stopped');
+                console.log(`-------⚠️ Listing sync run #${run.id} stopped after ${run.pages} pages (maxPages)`);
+                return summary('stopped');
+            }
+
+            const { results, pagination } = await settings.spark.getPage('/listings', { ...params, _page: page });
+
+            const rows = [];
+            for (const result of results) {
+                const row = mapListing(result);
+                if (row) rows.push(row);
+                else recordError(run, { page, message: 'Listing without an Id skipped' });
+            }
+
+            const { upserted, failures } = await upsertListings(rows, run.id, client);
+            failures.forEach(failure => {
+                failedIds.push(failure.listingId);
+                recordError(run, { page, ...failure });
+            });
+
+            run.pages = page;
+            run.fetched += results.length;
+            run.upserted += upserted;
+            for (const row of rows) {
+                if (row.modificationtimestamp && (!run.watermark || new Date(row.modificationtimestamp) > new Date(run.watermark))) {
+                    run.watermark = row.modificationtimestamp;
+                }
+            }
+            await saveProgress(client, run);
+
+            const totalPages = pagination ? pagination.TotalPages : null;
+            console.log(`-------✅ Listing sync run #${run.id}: page ${page}${totalPages ? `/${totalPages}` : ''}, ` +
+                `${run.fetched} fetched, ${run.upserted} upserted, ${run.errors.length} errors`);
+
+            const lastPage = totalPages ? page >= totalPages : results.length < settings.pageSize;
+            if (lastPage || results.length === 0) break;
+        }
+
+        if (run.mode === 'full') {
+            run.marked_off_market = await markOffMarket(client, run.id, failedIds);
+        }
+
+        await saveProgress(client, run, 'finished');
+        console.log(`-------✅ Listing sync run #${run.id} finished: ${run.fetched} fetched, ${run.upserted} upserted, ` +
+            `${run.marked_off_market} marked off-market, ${run.errors.length} errors`);
+        return summary('finished');
+    } catch (err) {
+        recordError(run, { message: err.message });
+        await saveProgress(client, run, 'failed').catch(() => {});
+        throw err;
+    }
+}
+
+/**
+ * listSyncRuns - Most recent sync runs, newest first
+ */
+async function listSyncRuns(client, limit = 20) {
+    const result = await client.query(
+        `SELECT id, mode, status, modified_since, watermark, pages, fetched, upserted,
+                marked_off_market, errors, started_at, finished_at
+         FROM listing_sync_runs ORDER BY id DESC LIMIT $1`,
+        [limit]
+    );
+    return result.rows;
+}
+
+// =============================================================================
+// MODULE EXPORTS
+// =============================================================================
+module.exports = {
+    DEFAULT_SYNC_OPTIONS,
+    OFF_MARKET_STATUSES,
+    SYNC_COLUMNS,
+    mapListing,
+    buildUpsertQuery,
+    runListingSync,
+    listSyncRuns
+};
@@ -0,0 +1,192 @@
+/**
+ * =============================================================================
+ * LOCATION ALIASES MODULE (routes/locationAliases.js)
+ * =============================================================================
+ *
+ * Local names for places that don't appear as such in the MLS data, e.g.
+ * "Cabo" (both Cabo San Lucas and San José del Cabo), "SJD" or "CSL".
+ * Each alias points at one or more targets: city, mlsareamajor or
+ * subdivision values (use a location group to search a named set of places).
+ *
+ * HOW ALIASES ARE USED:
+ * - areaCitySubdivisionMatch() in index.js checks the alias table before any
+ *   other matching, then matches each target instead of the alias
+ * - GET /locations/suggest offers aliases in the typeahead
+ * - Aliases are stored folded (lowercase, no accents - foldLocationText), so
+ *   "Cabo", "cabo" and "CABO" are the same alias
+ *
+ * STORAGE:
+ * - location_aliases table (created and seeded by routes/schema.js)
+ * - Cached in memory for ALIAS_CACHE_TTL_MS; saving or deleting an alias, or
+ *   POST /locations/refresh, clears the cache
+ *
+ * CONNECTION TO index.js:
+ * - GET /location-aliases lists them
+ * - PUT/DELETE /location-aliases/:alias let an admin manage them (ADMIN_API_TOKEN)
+ * =============================================================================
+ */
+
+const { foldLocationText } = require('./locationSuggest');
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+/**
+ * Aliases created with the table. Targets are compared accent-insensitively,
+ * so "San Jose del Cabo" also finds "San José del Cabo". Aliases are matched
+ * before real place names, so only names that aren't a city, area or
+ * subdivision themselves belong here; admins add the rest through
+ * PUT /location-aliases/:alias.
+ */
+const DEFAULT_LOCATION_ALIASES = [
+    { alias: 'cabo', targets: ['Cabo San Lucas', 'San Jose del Cabo'] },
+    { alias: 'los cabos', targets: ['Cabo San Lucas', 'San Jose del Cabo'] },
+    { alias: 'csl', targets: ['Cabo San Lucas'] },
+    { alias: 'sjd', targets: ['San Jose del Cabo'] }
+];
+
+/**
+ * Limits on admin input
+ */
+const MAX_ALIAS_LENGTH = 100;
+const MAX_ALIAS_TARGETS = 20;
+
+/**
+ * How long loaded aliases are reused before re-reading the table
+ */
+const ALIAS_CACHE_TTL_MS = 10 * 60 * 1000;
+
+let aliasCache = null;
+let aliasCacheLoadedAt = 0;
+
+// =============================================================================
+// LOOKUP
+// =============================================================================
+
+/**
+ * loadLocationAliases - All aliases, from cache or the location_aliases table
+ * -----------------------------------------------------------------------------
+ * @param {Object} client - PostgreSQL client
+ * @returns {Promise<Array>} [{ alias, targets }]
+ */
+async function loadLocationAliases(client) {
+    if (aliasCache && Date.now() - aliasCacheLoadedAt < ALIAS_CACHE_TTL_MS) {
+        return aliasCache;
+    }
+
+    try {
+        const result = await client.query('SELECT alias, targets FROM location_aliases ORDER BY alias');
+        aliasCache = result.rows;
+        aliasCacheLoadedAt = Date.now();
+        console.log(`-------✅ Loaded ${aliasCache.length} location aliases`);
+        return aliasCache;
+    } catch (err) {
+        // Keep matching with the defaults if the table isn't there yet
+        console.error('-------⚠️ Could not load location aliases, using defaults:', err.message);
+        return DEFAULT_LOCATION_ALIASES;
+    }
+}
+
+/**
+ * findLocationAlias - Alias entry for some location text
+ * @param {Array} aliases - From loadLocationAliases()
+ * @param {string} text - User input
+ * @returns {Object|null} { alias, targets }
+ */
+function findLocationAlias(aliases, text) {
+    const folded = foldLocationText(text);
+    return aliases.find(entry => entry.alias === folded) || null;
+}
+
+/**
+ * clearLocationAliasCache - Re-read the table on the next lookup
+ */
+function clearLocationAliasCache() {
+    aliasCache = null;
+}
+
+// =============================================================================
+// ADMIN
+// =============================================================================
+
+/**
+ * validateLocationAlias - Check an alias sent to PUT /location-aliases/:alias
+ * -----------------------------------------------------------------------------
+ * Every target must be a known city/area/subdivision (knownNames, folded),
+ * so a typo can't create an alias that silently matches nothing.
+ *
+ * @param {string} alias - Alias from the URL
+ * @param {Object} body - { targets: string[] }
+ * @param {Set} knownNames - Folded city/area/subdivision names
+ * @returns {Object} { entry, errors }
+ */
+function validateLocationAlias(alias, body = {}, knownNames = new Set()) {
+    const errors = [];
+    const folded = foldLocationText(alias);
+
+    if (folded === '' || folded.length > MAX_ALIAS_LENGTH) {
+        errors.push(`alias must be 1-${MAX_ALIAS_LENGTH} characters`);
+    }
+
+    let targets = [];
+    if (!Array.isArray(body.targets) || body.targets.some(target => typeof target !== 'string')) {
+        errors.push('targets must be an array of strings');
+    } else {
+        targets = [...new Set(body.targets.map(target => target.trim()).filter(Boolean))];
+        if (targets.length === 0) errors.push('targets must list at least one location');
+        if (targets.length > MAX_ALIAS_TARGETS) errors.push(`targets may list at most ${MAX_ALIAS_TARGETS} locations`);
+
+        const unknown = targets.filter(target => !knownNames.has(foldLocationText(target)));
+        if (unknown.length > 0) errors.push(`Unknown locations: ${unknown.join(', ')}`);
+        if (targets.some(target => foldLocationText(target) === folded)) {
+            errors.push('an alias cannot point at itself');
+        }
+    }
+
+    return { entry: { alias: folded, targets }, errors };
+}
+
+/**
+ * saveLocationAlias - Insert or replace an alias
+ * -----------------------------------------------------------------------------
+ * @param {Object} client - PostgreSQL client
+ * @param {Object} entry - { alias, targets } from validateLocationAlias()
+ * @returns {Promise<Array>} All aliases after the change
+ */
+async function saveLocationAlias(client, entry) {
+    await client.query(
+        `INSERT INTO location_aliases (alias, targets, updated_at)
+         VALUES ($1, $2, NOW())
+         ON CONFLICT (alias) DO UPDATE SET targets = EXCLUDED.targets, updated_at = NOW()`,
+        [entry.alias, entry.targets]
+    );
+    aliasCache = null;
+    return loadLocationAliases(client);
+}
+
+/**
+ * deleteLocationAlias - Remove an alias
+ * -----------------------------------------------------------------------------
+ * @param {Object} client - PostgreSQL client
+ * @param {string} alias - Alias (any case/accents)
+ * @returns {Promise<boolean>} false when there was no such alias
+ */
+async function deleteLocationAlias(client, alias) {
+    const result = await client.query('DELETE FROM location_aliases WHERE alias = $1', [foldLocationText(alias)]);
+    aliasCache = null;
+    return result.rowCount > 0;
+}
+
+// =============================================================================
+// MODULE EXPORTS
+// =============================================================================
+module.exports = {
+    DEFAULT_LOCATION_ALIASES,
+    loadLocationAliases,
+    findLocationAlias,
+    clearLocationAliasCache,
+    validateLocationAlias,
+    saveLocationAlias,
+    deleteLocationAlias
+};
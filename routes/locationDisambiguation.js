@@ -0,0 +1,197 @@
+/**
+ * =============================================================================
+ * LOCATION DISAMBIGUATION MODULE (routes/locationDisambiguation.js)
+ * =============================================================================
+ *
+ * Decides when a location typed by the user is too uncertain to search on,
+ * and lists the places it could mean ("did you mean ...?").
+ *
+ * A location needs confirmation when areaCitySubdivisionMatch():
+ * - Returns ambiguous: true with more than one distinct place, or
+ * - Returns a fuzzy match below LOCATION_CONFIRM_CONFIDENCE
+ * Group members and aliases are admin-configured, so they never ask.
+ *
+ * Each candidate carries a "pinned" location object. The client re-sends it
+ * as one of the /search locations; validateSearchFilters() accepts it and
+ * locationCondition() filters on exactly that level and parents, with no
+ * matching involved.
+ *
+ * CONNECTION TO index.js:
+ * - fetchProperties() calls buildDidYouMean() after resolveLocations() and
+ *   returns the block instead of blended results when it isn't empty
+ * =============================================================================
+ */
+
+const { foldLocationText } = require('./locationSuggest');
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+/**
+ * Fuzzy matches with a confidence below this are always confirmed first.
+ * areaCitySubdivisionMatch() gives one typo 0.85 and two typos 0.7.
+ */
+const LOCATION_CONFIRM_CONFIDENCE = Number(process.env.LOCATION_CONFIRM_CONFIDENCE) || 0.8;
+
+/**
+ * Most candidates listed per location
+ */
+const MAX_CANDIDATES = 10;
+
+/**
+ * Location levels a pinned location may name. The lookup data and match
+ * results call the subdivision level "subdivision".
+ */
+const PINNED_LEVELS = ['city', 'mlsareamajor', 'subdivision'];
+
+// =============================================================================
+// PINNED LOCATIONS
+// =============================================================================
+
+/**
+ * pinnedLocationMatch - Match result for a location chosen from a chooser
+ * -----------------------------------------------------------------------------
+ * @param {Object} pinned - { level, value, mlsareamajor?, city? }
+ * @returns {Object} Result shaped like areaCitySubdivisionMatch()'s, with
+ *                   pinned: true so every given level is filtered on
+ */
+function pinnedLocationMatch(pinned) {
+    return {
+        city: pinned.level === 'city' ? pinned.value : (pinned.city || null),
+        mlsareamajor: pinned.level === 'mlsareamajor' ? pinned.value : (pinned.mlsareamajor || null),
+        subdivision: pinned.level === 'subdivision' ? pinned.value : null,
+        matchType: 'exact',
+        matchedField: pinned.level,
+        matchedValue: pinned.value,
+        confidence: 1.0,
+        ambiguous: false,
+        pinned: true
+    };
+}
+
+// =============================================================================
+// CANDIDATES
+// =============================================================================
+
+/**
+ * needsConfirmation - Whether a match must be confirmed before searching
+ * @param {Object|null} match - areaCitySubdivisionMatch() result
+ * @returns {string|null} 'ambiguous', 'lowConfidence' or null
+ */
+function needsConfirmation(match) {
+    if (!match || match.pinned || match.matchType === 'alias') return null;
+    if (match.ambiguous) return 'ambiguous';
+    if (match.matchType === 'fuzzy' && match.confidence < LOCATION_CONFIRM_CONFIDENCE) return 'lowConfidence';
+    return null;
+}
+
+/**
+ * matchedValues - Every { field, value } a match result could stand for
+ */
+function matchedValues(match) {
+    const list = match.allMatches || match.matches || [];
+    const values = list.map(entry => (typeof entry === 'string'
+        ? { field: match.matchedField, value: entry }
+        : { field: entry.field || match.matchedField, value: entry.value }));
+
+    if (values.length === 0 && match.matchedValue) {
+        values.push({ field: match.matchedField, value: match.matchedValue });
+    }
+    return values;
+}
+
+/**
+ * locationCandidates - Distinct places a match result could mean
+ * -----------------------------------------------------------------------------
+ * Each matched value is split by its parents in the lookup data, so a
+ * subdivision found under two areas gives two candidates.
+ *
+ * @param {Object} match - areaCitySubdivisionMatch() result
+ * @param {Array} lookupData - [{ city, mlsareamajor, subdivision, listings }]
+ * @returns {Array} Candidates, most listings first:
+ *   [{ location: { level, value, mlsareamajor, city }, level, value,
+ *      mlsareamajor, city, label, count }]
+ */
+function locationCandidates(match, lookupData) {
+    const candidates = new Map();
+
+    for (const { field, value } of matchedValues(match)) {
+        const folded = foldLocationText(value);
+        for (const row of lookupData) {
+            if (!row[field] || foldLocationText(row[field]) !== folded) continue;
+
+            const location = {
+                level: field,
+                value: row[field],
+                mlsareamajor: field === 'subdivision' ? (row.mlsareamajor || null) : null,
+                city: field === 'city' ? null : (row.city || null)
+            };
+            const key = `${location.level}|${location.value}|${location.mlsareamajor || ''}|${location.city || ''}`;
+
+            const existing = candidates.get(key);
+            if (existing) {
+                existing.count += Number(row.listings) || 0;
+            } else {
+                candidates.set(key, {
+                    location,
+                    level: location.level,
+                    value: location.value,
+                    mlsareamajor: location.mlsareamajor,
+                    city: location.city,
+                    label: [location.value, location.mlsareamajor, location.city].filter(Boolean).join(', '),
+                    count: Number(row.listings) || 0
+                });
+            }
+        }
+    }
+
+    return [...candidates.values()]
+        .sort((a, b) => b.count - a.count || a.label.localeCompare(b.label))
+        .slice(0, MAX_CANDIDATES);
+}
+
+/**
+ * buildDidYouMean - The "did you mean" block for /search
+ * -----------------------------------------------------------------------------
+ * @param {Array|null} locationMatches - From resolveLocations() in index.js
+ * @param {Array} lookupData - From loadLocationLookupData() in index.js
+ * @returns {Array} One entry per location needing confirmation (empty when
+ *                  every location is clear):
+ *   [{ input: "Pedrgal", reason: "lowConfidence", confidence: 0.7, candidates: [...] }]
+ */
+function buildDidYouMean(locationMatches, lookupData) {
+    const didYouMean = [];
+
+    for (const entry of locationMatches || []) {
+        if (entry.group) continue;
+
+        const reason = needsConfirmation(entry.match);
+        if (!reason) continue;
+
+        const candidates = locationCandidates(entry.match, lookupData);
+        // "Ambiguous" values that turn out to be a single place are fine
+        if (reason === 'ambiguous' && candidates.length <= 1) continue;
+
+        didYouMean.push({
+            input: entry.location,
+            reason,
+            confidence: entry.match.confidence,
+            candidates
+        });
+    }
+
+    return didYouMean;
+}
+
+// =============================================================================
+// MODULE EXPORTS
+// =============================================================================
+module.exports = {
+    LOCATION_CONFIRM_CONFIDENCE,
+    PINNED_LEVELS,
+    pinnedLocationMatch,
+    needsConfirmation,
+    locationCandidates,
+    buildDidYouMean
+};
@@ -0,0 +1,222 @@
+/**
+ * =============================================================================
+ * LOCATION GROUPS MODULE (routes/locationGroups.js)
+ * =============================================================================
+ *
+ * A location group is a named list of locations that buyers search together,
+ * e.g. "All La Paz" or "San Jose Beach" = SJD-Beachside + SJD-East + Pedregal.
+ * Groups replace the old hardcoded wildcard map in routes/searchQuery.js.
+ *
+ * HOW A GROUP IS SEARCHED:
+ * When a /search location equals a group name (case-insensitive), the group
+ * is expanded into its member locations. Each member is then resolved through
+ * areaCitySubdivisionMatch() like any other location, so a group may mix
+ * cities, MLS areas and subdivisions. A member containing "%" is a LIKE
+ * pattern instead and skips the matcher: "%La Paz%" is matched against city,
+ * mlsareamajor and subdivisionname, and a level prefix limits it to one
+ * column ("area:%La Paz%", see PATTERN_LEVELS). Patterns only come from
+ * groups; a "%" typed in a search is matched literally.
+ *
+ * STORAGE:
+ * - location_groups table (created by routes/schema.js, "All La Paz" seeded)
+ * - Cached in memory for GROUP_CACHE_TTL_MS; saving or deleting a group, or
+ *   POST /locations/refresh, clears the cache
+ *
+ * CONNECTION TO index.js:
+ * - resolveLocations() expands groups before matching
+ * - GET /location-groups lists them for form.html
+ * - PUT/DELETE /location-groups/:name let an admin manage them (ADMIN_API_TOKEN)
+ * =============================================================================
+ */
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+/**
+ * Groups created with the table. Kept for new installs; admins edit them
+ * through PUT /location-groups/:name afterwards.
+ */
+const DEFAULT_LOCATION_GROUPS = [
+    { name: 'All La Paz', description: 'Every MLS area named La Paz', locations: ['area:%La Paz%'] }
+];
+
+/**
+ * Level prefixes a pattern member may start with, and the column each
+ * matches. A pattern without a prefix matches all three columns.
+ */
+const PATTERN_LEVELS = {
+    city: 'city',
+    area: 'mlsareamajor',
+    subdivision: 'subdivisionname'
+};
+
+/**
+ * Limits on admin input
+ */
+const MAX_GROUP_NAME_LENGTH = 100;
+const MAX_GROUP_LOCATIONS = 50;
+
+/**
+ * How long loaded groups are reused before re-reading the table
+ */
+const GROUP_CACHE_TTL_MS = 10 * 60 * 1000;
+
+let groupCache = null;
+let groupCacheLoadedAt = 0;
+
+// =============================================================================
+// LOOKUP
+// =============================================================================
+
+/**
+ * loadLocationGroups - All groups, from cache or the location_groups table
+ * -----------------------------------------------------------------------------
+ * @param {Object} client - PostgreSQL client
+ * @returns {Promise<Array>} [{ name, description, locations }]
+ */
+async function loadLocationGroups(client) {
+    if (groupCache && Date.now() - groupCacheLoadedAt < GROUP_CACHE_TTL_MS) {
+        return groupCache;
+    }
+
+    try {
+        const result = await client.query('SELECT name, description, locations FROM location_groups ORDER BY name');
+        groupCache = result.rows;
+        groupCacheLoadedAt = Date.now();
+        console.log(`-------✅ Loaded ${groupCache.length} location groups`);
+        return groupCache;
+    } catch (err) {
+        // Keep searching with the defaults if the table isn't there yet
+        console.error('-------⚠️ Could not load location groups, using defaults:', err.message);
+        return DEFAULT_LOCATION_GROUPS;
+    }
+}
+
+/**
+ * clearLocationGroupCache - Re-read the table on the next lookup
+ */
+function clearLocationGroupCache() {
+    groupCache = null;
+}
+
+/**
+ * findLocationGroup - Group whose name matches a location (case-insensitive)
+ * @param {Array} groups - From loadLocationGroups()
+ * @param {string} location - A single location from the search filters
+ * @returns {Object|null}
+ */
+function findLocationGroup(groups, location) {
+    const lower = String(location).trim().toLowerCase();
+    return groups.find(group => group.name.toLowerCase() === lower) || null;
+}
+
+/**
+ * parseGroupPattern - Read a group member written as a LIKE pattern
+ * -----------------------------------------------------------------------------
+ * @param {string} member - One entry of a group's locations
+ * @returns {Object|null} { pattern, columns }, or null when the member is a
+ *          plain location (no "%") to resolve with the matcher
+ */
+function parseGroupPattern(member) {
+    if (!member.includes('%')) return null;
+
+    const prefixed = member.match(/^(\w+):(.*)$/);
+    if (prefixed && PATTERN_LEVELS[prefixed[1].toLowerCase()]) {
+        return { pattern: prefixed[2], columns: [PATTERN_LEVELS[prefixed[1].toLowerCase()]] };
+    }
+    return { pattern: member, columns: Object.values(PATTERN_LEVELS) };
+}
+
+// =============================================================================
+// ADMIN
+// =============================================================================
+
+/**
+ * validateLocationGroup - Check a group sent to PUT /location-groups/:name
+ * -----------------------------------------------------------------------------
+ * @param {string} name - Group name from the URL
+ * @param {Object} body - { locations: string[], description?: string }
+ * @returns {Object} { group, errors }
+ */
+function validateLocationGroup(name, body = {}) {
+    const errors = [];
+    const trimmedName = String(name || '').trim();
+
+    if (trimmedName === '' || trimmedName.length > MAX_GROUP_NAME_LENGTH) {
+        errors.push(`name must be 1-${MAX_GROUP_NAME_LENGTH} characters`);
+    }
+
+    let locations = [];
+    if (!Array.isArray(body.locations) || body.locations.some(location => typeof location !== 'string')) {
+        errors.push('locations must be an array of strings');
+    } else {
+        locations = [...new Set(body.locations.map(location => location.trim()).filter(Boolean))];
+        if (locations.length === 0) errors.push('locations must list at least one location');
+        if (locations.length > MAX_GROUP_LOCATIONS) errors.push(`locations may list at most ${MAX_GROUP_LOCATIONS} entries`);
+        if (locations.some(location => location.toLowerCase() === trimmedName.toLowerCase())) {
+            errors.push('a group cannot list itself as a location');
+        }
+        for (const location of locations) {
+            const prefixed = location.match(/^(\w+):.*%/);
+            if (prefixed && !PATTERN_LEVELS[prefixed[1].toLowerCase()]) {
+                errors.push(`"${location}" has an unknown level (use ${Object.keys(PATTERN_LEVELS).join(', ')})`);
+            }
+        }
+    }
+
+    if (body.description !== undefined && body.description !== null && typeof body.description !== 'string') {
+        errors.push('description must be a string');
+    }
+
+    return {
+        group: { name: trimmedName, description: body.description || null, locations },
+        errors
+    };
+}
+
+/**
+ * saveLocationGroup - Insert or replace a group
+ * -----------------------------------------------------------------------------
+ * @param {Object} client - PostgreSQL client
+ * @param {Object} group - { name, description, locations } from validateLocationGroup()
+ * @returns {Promise<Array>} All groups after the change
+ */
+async function saveLocationGroup(client, group) {
+    await client.query(
+        `INSERT INTO location_groups (name, description, locations, updated_at)
+         VALUES ($1, $2, $3, NOW())
+         ON CONFLICT (name) DO UPDATE SET description = EXCLUDED.description, locations = EXCLUDED.locations, updated_at = NOW()`,
+        [group.name, group.description, group.locations]
+    );
+    groupCache = null;
+    return loadLocationGroups(client);
+}
+
+/**
+ * deleteLocationGroup - Remove a group
+ * -----------------------------------------------------------------------------
+ * @param {Object} client - PostgreSQL client
+ * @param {string} name - Group name
+ * @returns {Promise<boolean>} false when no group had that name
+ */
+async function deleteLocationGroup(client, name) {
+    const result = await client.query('DELETE FROM location_groups WHERE name = $1', [name]);
+    groupCache = null;
+    return result.rowCount > 0;
+}
+
+// =============================================================================
+// MODULE EXPORTS
+// =============================================================================
+module.exports = {
+    DEFAULT_LOCATION_GROUPS,
+    PATTERN_LEVELS,
+    loadLocationGroups,
+    findLocationGroup,
+    parseGroupPattern,
+    clearLocationGroupCache,
+    validateLocationGroup,
+    saveLocationGroup,
+    deleteLocationGroup
+};
@@ -0,0 +1,295 @@
+/**
+ * =============================================================================
+ * LOCATION TYPEAHEAD MODULE (routes/locationSuggest.js)
+ * =============================================================================
+ *
+ * Ranks location suggestions for the autocomplete in form.html while the
+ * user types. Suggestions come from the city/mlsareamajor/subdivision
+ * combinations index.js already caches for areaCitySubdivisionMatch()
+ * (loadLocationLookupData), plus the admin-configured location groups.
+ *
+ * RANKING (same tiers as areaCitySubdivisionMatch):
+ * 1. Exact match (case-insensitive)
+ * 2. Starts-with match
+ * 3. A later word starts with the input ("east" -> "SJD-East")
+ * 4. Contains match
+ * 5. Fuzzy match (Levenshtein distance, inputs of 4+ characters)
+ * Within a tier, locations with more listings come first. Comparisons are
+ * accent-insensitive (foldLocationText), and aliases from
+ * routes/locationAliases.js ("SJD", "Cabo") are suggested too.
+ *
+ * Every suggestion carries its hierarchy (subdivision -> area -> city) and
+ * the number of listings it covers, so the user can tell two places with
+ * the same name apart.
+ *
+ * CONNECTION TO index.js:
+ * - GET /locations/suggest calls suggestLocations()
+ * - levenshteinDistance and foldLocationText are shared with
+ *   areaCitySubdivisionMatch()
+ * =============================================================================
+ */
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+/**
+ * Suggestions returned when the client doesn't send limit, and the most it
+ * may ask for
+ */
+const DEFAULT_SUGGESTION_LIMIT = 8;
+const MAX_SUGGESTION_LIMIT = 25;
+
+/**
+ * Longest query accepted, and the shortest one fuzzy matching is tried for
+ */
+const MAX_SUGGEST_QUERY_LENGTH = 100;
+const MIN_FUZZY_LENGTH = 4;
+
+/**
+ * Match tiers, best first
+ */
+const MATCH_TIERS = ['exact', 'startsWith', 'wordStart', 'contains', 'fuzzy'];
+
+// =============================================================================
+// STRING HELPERS
+// =============================================================================
+
+/**
+ * foldLocationText - Lowercase and strip accents for comparisons
+ * -----------------------------------------------------------------------------
+ * "San José del Cabo" and "san jose del cabo" fold to the same text, so
+ * users can type place names without accents. NFD splits "é" into "e" plus a
+ * combining accent, which the regex then removes ("ñ" becomes "n").
+ *
+ * @param {string} text - Any location text
+ * @returns {string} Folded text
+ */
+function foldLocationText(text) {
+    return String(text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * levenshteinDistance - Calculate edit distance between two strings
+ * -----------------------------------------------------------------------------
+ * Classic dynamic programming implementation of Levenshtein distance.
+ * Used for fuzzy matching to handle user typos/misspellings.
+ *
+ * @param {string} str1 - First string
+ * @param {string} str2 - Second string
+ * @returns {number} Number of single-character edits needed to transform str1 to str2
+ */
+function levenshteinDistance(str1, str2) {
+    const m = str1.length;
+    const n = str2.length;
+
+    // Create a matrix of distances
+    const dp = Array(m + 1).fill(null).map(() => Array(n + 1).fill(0));
+
+    // Initialize base cases
+    for (let i = 0; i <= m; i++) dp[i][0] = i;
+    for (let j = 0; j <= n; j++) dp[0][j] = j;
+
+    // Fill in the rest of the matrix
+    for (let i = 1; i <= m; i++) {
+        for (let j = 1; j <= n; j++) {
+            if (str1[i - 1] === str2[j - 1]) {
+                dp[i][j] = dp[i - 1][j - 1];
+            } else {
+                dp[i][j] = 1 + Math.min(
+                    dp[i - 1][j],     // deletion
+                    dp[i][j - 1],     // insertion
+                    dp[i - 1][j - 1]  // substitution
+                );
+            }
+        }
+    }
+
+    return dp[m][n];
+}
+
+// =============================================================================
+// CANDIDATES
+// =============================================================================
+
+/**
+ * Candidates built from the last lookup data seen. The lookup data is cached
+ * by index.js, so this only rebuilds when that cache is reloaded.
+ */
+let candidateSource = null;
+let candidateCache = [];
+
+/**
+ * buildCandidates - One candidate per distinct place in the lookup data
+ * -----------------------------------------------------------------------------
+ * A subdivision is keyed by its full hierarchy, so "Pedregal" under two
+ * different areas gives two candidates. Counts are summed over every
+ * combination the place appears in.
+ *
+ * @param {Array} lookupData - [{ city, mlsareamajor, subdivision, listings }]
+ * @returns {Array} [{ value, level, hierarchy, count, lower }]
+ */
+function buildCandidates(lookupData) {
+    if (lookupData === candidateSource) return candidateCache;
+
+    const candidates = new Map();
+    const add = (level, value, hierarchy, listings) => {
+        const key = `${level}|${hierarchy.subdivision || ''}|${hierarchy.mlsareamajor || ''}|${hierarchy.city || ''}`;
+        const existing = candidates.get(key);
+        if (existing) {
+            existing.count += listings;
+        } else {
+            candidates.set(key, { value, level, hierarchy, count: listings, lower: foldLocationText(value) });
+        }
+    };
+
+    for (const row of lookupData) {
+        const listings = Number(row.listings) || 0;
+        if (row.city) {
+            add('city', row.city, { subdivision: null, mlsareamajor: null, city: row.city }, listings);
+        }
+        if (row.mlsareamajor) {
+            add('mlsareamajor', row.mlsareamajor, { subdivision: null, mlsareamajor: row.mlsareamajor, city: row.city || null }, listings);
+        }
+        if (row.subdivision) {
+            add('subdivision', row.subdivision, { subdivision: row.subdivision, mlsareamajor: row.mlsareamajor || null, city: row.city || null }, listings);
+        }
+    }
+
+    candidateSource = lookupData;
+    candidateCache = [...candidates.values()];
+    return candidateCache;
+}
+
+/**
+ * rankCandidate - Match tier and fuzzy distance of one candidate
+ * @returns {Object|null} { tier, distance } or null when it doesn't match
+ */
+function rankCandidate(lower, normalized) {
+    if (lower === normalized) return { tier: 0, distance: 0 };
+    if (lower.startsWith(normalized)) return { tier: 1, distance: 0 };
+    if (lower.split(/[\s\-/.,&]+/).some(word => word.startsWith(normalized))) return { tier: 2, distance: 0 };
+    if (lower.includes(normalized)) return { tier: 3, distance: 0 };
+
+    if (normalized.length >= MIN_FUZZY_LENGTH) {
+        // Compare against the start of the value too, so a typo in the first
+        // word still matches while the rest hasn't been typed yet
+        const distance = Math.min(
+            levenshteinDistance(normalized, lower),
+            levenshteinDistance(normalized, lower.slice(0, normalized.length))
+        );
+        const threshold = Math.min(3, Math.floor(normalized.length / 3));
+        if (distance <= threshold) return { tier: 4, distance };
+    }
+    return null;
+}
+
+// =============================================================================
+// SUGGESTIONS
+// =============================================================================
+
+/**
+ * suggestLocations - Ranked suggestions for a partial location
+ * -----------------------------------------------------------------------------
+ * @param {string} query - What the user has typed so far
+ * @param {Array} lookupData - From loadLocationLookupData() in index.js
+ * @param {Array} groups - From loadLocationGroups() (routes/locationGroups.js)
+ * @param {Array} aliases - From loadLocationAliases() (routes/locationAliases.js)
+ * @param {number} limit - Most suggestions to return
+ * @returns {Array} Suggestions, best first:
+ *   [{
+ *     value: "Pedregal",             // Send as a /search location
+ *     level: "subdivision",          // city | mlsareamajor | subdivision | group | alias
+ *     label: "Pedregal, CSL-Centro, Cabo San Lucas",
+ *     hierarchy: { subdivision, mlsareamajor, city },
+ *     count: 42,                     // Listings in this place (null for groups/aliases)
+ *     matchType: "startsWith"        // exact | startsWith | wordStart | contains | fuzzy
+ *   }]
+ */
+function suggestLocations(query, lookupData, groups = [], aliases = [], limit = DEFAULT_SUGGESTION_LIMIT) {
+    const normalized = foldLocationText(query);
+    if (normalized === '') return [];
+
+    const ranked = [];
+
+    // Aliases only match from the start - they are short ("sjd", "cabo")
+    for (const alias of aliases) {
+        if (!alias.alias.startsWith(normalized)) continue;
+        ranked.push({
+            tier: alias.alias === normalized ? 0 : 1,
+            distance: 0,
+            suggestion: {
+                value: alias.alias,
+                level: 'alias',
+                label: `${alias.alias} (${alias.targets.join(', ')})`,
+                hierarchy: { subdivision: null, mlsareamajor: null, city: null },
+                count: null,
+                matchType: alias.alias === normalized ? 'exact' : 'startsWith'
+            }
+        });
+    }
+
+    for (const group of groups) {
+        const rank = rankCandidate(foldLocationText(group.name), normalized);
+        if (rank) {
+            ranked.push({
+                ...rank,
+                suggestion: {
+                    value: group.name,
+                    level: 'group',
+                    label: group.description ? `${group.name} (${group.description})` : group.name,
+                    hierarchy: { subdivision: null, mlsareamajor: null, city: null },
+                    count: null,
+                    matchType: MATCH_TIERS[rank.tier]
+                }
+            });
+        }
+    }
+
+    for (const candidate of buildCandidates(lookupData)) {
+        const rank = rankCandidate(candidate.lower, normalized);
+        if (!rank) continue;
+
+        const { subdivision, mlsareamajor, city } = candidate.hierarchy;
+        ranked.push({
+            ...rank,
+            suggestion: {
+                value: candidate.value,
+                level: candidate.level,
+                label: [subdivision, mlsareamajor, city].filter(Boolean).join(', '),
+                hierarchy: candidate.hierarchy,
+                count: candidate.count,
+                matchType: MATCH_TIERS[rank.tier]
+            }
+        });
+    }
+
+    // Best tier, then closest fuzzy match, then groups/aliases, then most listings
+    const named = (entry) => entry.suggestion.level === 'group' || entry.suggestion.level === 'alias';
+    ranked.sort((a, b) =>
+        a.tier - b.tier ||
+        a.distance - b.distance ||
+        named(b) - named(a) ||
+        (b.suggestion.count || 0) - (a.suggestion.count || 0) ||
+        a.suggestion.label.localeCompare(b.suggestion.label)
+    );
+
+    return ranked.slice(0, limit).map(entry => entry.suggestion);
+}
+
+// =============================================================================
+// MODULE EXPORTS
+// =============================================================================
+module.exports = {
+    DEFAULT_SUGGESTION_LIMIT,
+    MAX_SUGGESTION_LIMIT,
+    MAX_SUGGEST_QUERY_LENGTH,
+    foldLocationText,
+    levenshteinDistance,
+    suggestLocations
+};
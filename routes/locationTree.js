@@ -0,0 +1,256 @@
+/**
+ * =============================================================================
+ * LOCATION TREE MODULE (routes/locationTree.js)
+ * =============================================================================
+ *
+ * Builds the region hierarchy encoded by the city -> mlsareamajor ->
+ * subdivisionname columns of mls_properties, with the number of listings and
+ * the median price at every node. Used for drill-down navigation in
+ * form.html ("Browse areas") and for area landing pages.
+ *
+ * HOW IT IS COMPUTED:
+ * One query with GROUPING SETS returns the totals for the whole region, each
+ * city, each city + area and each city + area + subdivision. Medians compare
+ * PRICE_USD_EXPRESSION so peso and dollar listings rank together, and are
+ * converted to the requested currency when the tree is returned.
+ *
+ * Only listings in DEFAULT_LISTING_STATUSES (active and coming soon) are
+ * counted, so pending and sold listings don't inflate the counts or medians.
+ *
+ * Listings with no area (or no subdivision) are counted in their parent but
+ * get no child node of their own, so a node's children may add up to less
+ * than its count.
+ *
+ * CACHING:
+ * Trees are cached per property type selection for TREE_CACHE_TTL_MS.
+ * POST /locations/refresh clears the cache.
+ *
+ * CONNECTION TO index.js:
+ * - GET /locations/tree calls computeLocationTree()
+ * =============================================================================
+ */
+
+const { BASE_CURRENCY, convertAmount } = require('./currency');
+const { DEFAULT_LISTING_STATUSES } = require('./listingStatus');
+const {
+    PRICE_USD_EXPRESSION,
+    createQueryParams,
+    buildWhereClause
+} = require('./searchQuery');
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+/**
+ * Levels of the tree, top first. depth=1 returns cities only.
+ */
+const TREE_LEVELS = [
+    { level: 'city', column: 'city' },
+    { level: 'mlsareamajor', column: 'mlsareamajor' },
+    { level: 'subdivision', column: 'subdivisionname' }
+];
+
+const MAX_TREE_DEPTH = TREE_LEVELS.length;
+
+/**
+ * How long a computed tree is reused before querying again
+ */
+const TREE_CACHE_TTL_MS = 10 * 60 * 1000;
+
+const treeCache = new Map();
+
+// =============================================================================
+// QUERY BUILDING
+// =============================================================================
+
+/**
+ * buildLocationTreeQuery - Count and median price per hierarchy node
+ * -----------------------------------------------------------------------------
+ * @param {Object} filters - Validated filter object (propertyType and status
+ *                           are used)
+ * @param {number} depth - Levels to group by (1-3)
+ * @returns {Object} { text, values } - rows of { city, mlsareamajor,
+ *          subdivisionname, listings, median_price_usd, grouping }
+ */
+function buildLocationTreeQuery(filters, depth = MAX_TREE_DEPTH) {
+    const params = createQueryParams();
+    const where = buildWhereClause(filters, params, {});
+
+    const columns = TREE_LEVELS.map(entry => entry.column);
+    // (), (city), (city, mlsareamajor), ... down to the requested depth
+    const groupingSets = [];
+    for (let size = 0; size <= depth; size++) {
+        groupingSets.push(`(${columns.slice(0, size).join(', ')})`);
+    }
+
+    const text = `SELECT ${columns.join(', ')}, COUNT(*)::int AS listings,
+        percentile_cont(0.5) WITHIN GROUP (ORDER BY price_usd) AS median_price_usd,
+        GROUPING(${columns.join(', ')}) AS grouping
+        FROM (
+            SELECT ${columns.join(', ')}, ${PRICE_USD_EXPRESSION} AS price_usd
+            FROM mls_properties WHERE ${where}
+        ) priced
+        GROUP BY GROUPING SETS (${groupingSets.join(', ')})`;
+
+    return { text, values: params.values };
+}
+
+// =============================================================================
+// TREE BUILDING
+// =============================================================================
+
+/**
+ * groupingDepth - How many levels a row is grouped by
+ * -----------------------------------------------------------------------------
+ * GROUPING() sets one bit per column left out of the row's grouping set,
+ * city being the highest bit: 7 = total, 3 = city, 1 = area, 0 = subdivision.
+ */
+function groupingDepth(grouping) {
+    let depth = MAX_TREE_DEPTH;
+    for (let bit = 0; bit < MAX_TREE_DEPTH; bit++) {
+        if (Number(grouping) & (1 << bit)) depth = MAX_TREE_DEPTH - bit - 1;
+    }
+    return depth;
+}
+
+/**
+ * buildLocationTree - Nest grouped rows into a tree
+ * -----------------------------------------------------------------------------
+ * @param {Array} rows - From buildLocationTreeQuery()
+ * @returns {Object} { total: { count, medianPriceUsd }, tree: [node] } where
+ *          node = { name, level, count, medianPriceUsd, children }
+ */
+function buildLocationTree(rows) {
+    const total = { count: 0, medianPriceUsd: null };
+    const tree = [];
+    const nodesByPath = new Map();
+
+    // Parents before children, so every node finds its parent
+    const sorted = [...rows].sort((a, b) => groupingDepth(a.grouping) - groupingDepth(b.grouping));
+
+    for (const row of sorted) {
+        const depth = groupingDepth(row.grouping);
+        const medianPriceUsd = row.median_price_usd === null ? null : Number(row.median_price_usd);
+
+        if (depth === 0) {
+            total.count = row.listings;
+            total.medianPriceUsd = medianPriceUsd;
+            continue;
+        }
+
+        const path = TREE_LEVELS.slice(0, depth).map(entry => row[entry.column]);
+        // Listings missing this level stay counted in the parent only
+        if (path.some(name => name === null || name === '')) continue;
+
+        const siblings = depth === 1 ? tree : (nodesByPath.get(path.slice(0, -1).join('\u0000')) || {}).children;
+        if (!siblings) continue;
+
+        const node = {
+            name: path[path.length - 1],
+            level: TREE_LEVELS[depth - 1].level,
+            count: row.listings,
+            medianPriceUsd,
+            children: []
+        };
+        siblings.push(node);
+        nodesByPath.set(path.join('\u0000'), node);
+    }
+
+    sortNodes(tree);
+    return { total, tree };
+}
+
+/**
+ * sortNodes - Most listings first, then by name, at every level
+ */
+function sortNodes(nodes) {
+    nodes.sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+    nodes.forEach(node => sortNodes(node.children));
+}
+
+/**
+ * priceTree - Copy of a tree with medians in the requested currency
+ * -----------------------------------------------------------------------------
+ * @param {Array} nodes - Tree from buildLocationTree()
+ * @param {string} currency - Currency wanted
+ * @param {Object} rates - From loadExchangeRates()
+ * @returns {Array} [{ name, level, count, medianPrice, children }]
+ */
+function priceTree(nodes, currency, rates) {
+    return nodes.map(node => ({
+        name: node.name,
+        level: node.level,
+        count: node.count,
+        medianPrice: convertMedian(node.medianPriceUsd, currency, rates),
+        children: priceTree(node.children, currency, rates)
+    }));
+}
+
+function convertMedian(medianPriceUsd, currency, rates) {
+    if (medianPriceUsd === null) return null;
+    return Math.round(convertAmount(medianPriceUsd, BASE_CURRENCY, currency, rates));
+}
+
+// =============================================================================
+// TREE COMPUTATION
+// =============================================================================
+
+/**
+ * computeLocationTree - Location hierarchy for a property type selection
+ * -----------------------------------------------------------------------------
+ * @param {Object} filters - Validated filter object (propertyType, currency)
+ * @param {Object} options - { depth, rates }
+ * @param {Object} client - PostgreSQL client
+ * @returns {Promise<Object>} {
+ *   total: { count: 812, medianPrice: 425000 },
+ *   tree: [{
+ *     name: "Cabo San Lucas", level: "city", count: 420, medianPrice: 510000,
+ *     children: [{ name: "CSL-Centro", level: "mlsareamajor", ..., children: [
+ *       { name: "Pedregal", level: "subdivision", count: 42, medianPrice: 1250000, children: [] }
+ *     ] }]
+ *   }]
+ * }
+ */
+async function computeLocationTree(filters, options, client) {
+    console.log("--------------🚀 IN locationTree.js - computeLocationTree function");
+
+    const depth = options.depth || MAX_TREE_DEPTH;
+    const key = `${(filters.propertyType || []).slice().sort().join(',')}|${depth}`;
+
+    let cached = treeCache.get(key);
+    if (!cached || Date.now() - cached.loadedAt >= TREE_CACHE_TTL_MS) {
+        const query = buildLocationTreeQuery({ propertyType: filters.propertyType, status: DEFAULT_LISTING_STATUSES }, depth);
+        const result = await client.query(query.text, query.values);
+        cached = { ...buildLocationTree(result.rows), loadedAt: Date.now() };
+        treeCache.set(key, cached);
+        console.log(`-------✅ Built location tree with ${cached.tree.length} cities (${key})`);
+    }
+
+    const currency = filters.currency || BASE_CURRENCY;
+    return {
+        total: {
+            count: cached.total.count,
+            medianPrice: convertMedian(cached.total.medianPriceUsd, currency, options.rates)
+        },
+        tree: priceTree(cached.tree, currency, options.rates)
+    };
+}
+
+/**
+ * clearLocationTreeCache - Query again on the next request
+ */
+function clearLocationTreeCache() {
+    treeCache.clear();
+}
+
+// =============================================================================
+// MODULE EXPORTS
+// =============================================================================
+module.exports = {
+    MAX_TREE_DEPTH,
+    buildLocationTreeQuery,
+    buildLocationTree,
+    computeLocationTree,
+    clearLocationTreeCache
+};
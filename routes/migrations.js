@@ -0,0 +1,183 @@
+/**
+ * =============================================================================
+ * DATABASE MIGRATIONS MODULE (routes/migrations.js)
+ * =============================================================================
+ *
+ * One-off changes that are too slow or too destructive to run on every start
+ * (routes/schema.js is for the cheap, idempotent ones): removing duplicate
+ * rows, building indexes on the whole table, backfills.
+ *
+ * HOW THEY RUN:
+ * Only through `npm run migrate` (scripts/migrate.js), never on boot. Each
+ * migration runs once, in order, and is recorded in schema_migrations; a
+ * failed migration stops the run and is retried by the next one, so every
+ * step must be safe to repeat. Indexes are built CONCURRENTLY, so they can
+ * run while the server is up (and therefore outside a transaction).
+ *
+ * ADDING A MIGRATION:
+ * Append to MIGRATIONS with a new id. Never edit or reorder one that has run.
+ *
+ * CONNECTION TO index.js:
+ * - pendingMigrations() is checked at startup and a warning logged for each
+ *   migration not run yet. scripts/syncListings.js refuses to run until
+ *   they have all been applied (it upserts on mls_properties_id_key).
+ * =============================================================================
+ */
+
+const { FULL_TEXT_DOCUMENT } = require('./searchQuery');
+const { DETAILS_LAST_WRITTEN } = require('./db');
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * createIndexConcurrently - Build an index without blocking writes
+ * -----------------------------------------------------------------------------
+ * A CONCURRENTLY build that fails leaves an INVALID index behind, which
+ * IF NOT EXISTS would then skip, so it is dropped first.
+ *
+ * @param {Object} client - PostgreSQL client
+ * @param {string} name - Index name
+ * @param {string} definition - Everything after "INDEX CONCURRENTLY IF NOT EXISTS <name>"
+ * @param {boolean} unique - CREATE UNIQUE INDEX
+ */
+async function createIndexConcurrently(client, name, definition, unique = false) {
+    const invalid = await client.query(
+        `SELECT 1 FROM pg_index i JOIN pg_class c ON c.oid = i.indexrelid
+         WHERE c.relname = $1 AND NOT i.indisvalid`,
+        [name]
+    );
+    if (invalid.rows.length > 0) {
+        console.log(`-------⚠️ Dropping invalid index ${name} left by an earlier build`);
+        await client.query(`DROP INDEX CONCURRENTLY IF EXISTS ${name}`);
+    }
+    await client.query(`CREATE ${unique ? 'UNIQUE ' : ''}INDEX CONCURRENTLY IF NOT EXISTS ${name} ${definition}`);
+}
+
+// =============================================================================
+// MIGRATIONS
+// =============================================================================
+
+/**
+ * id: Recorded in schema_migrations once applied
+ * description: Logged when it runs
+ * run: async (client) => void
+ */
+const MIGRATIONS = [
+    {
+        id: '001-unique-listing-ids',
+        description: 'Remove duplicate mls_properties rows and add the unique id index the listing sync upserts on',
+        run: async (client) => {
+            // Older feeds inserted the same listing more than once. The copy
+            // the MLS modified last is kept; ctid only breaks exact ties.
+            const removed = await client.query(
+                `DELETE FROM mls_properties p
+                 USING (
+                     SELECT ctid, ROW_NUMBER() OVER (
+                         PARTITION BY id
+                         ORDER BY modificationtimestamp DESC NULLS LAST,
+                                  majorchangetimestamp::timestamptz DESC NULLS LAST,
+                                  ctid DESC
+                     ) AS copy
+                     FROM mls_properties
+                 ) ranked
+                 WHERE p.ctid = ranked.ctid AND ranked.copy > 1`
+            );
+            console.log(`-------✅ Removed ${removed.rowCount} duplicate listing rows`);
+
+            await createIndexConcurrently(client, 'mls_properties_id_key', 'ON mls_properties (id)', true);
+        }
+    },
+    {
+        id: '002-fulltext-index',
+        description: 'Build the GIN index keyword searches use',
+        run: async (client) => {
+            // The indexed expression must match FULL_TEXT_DOCUMENT exactly to be used
+            await createIndexConcurrently(client, 'mls_properties_fulltext_idx', `ON mls_properties USING GIN (${FULL_TEXT_DOCUMENT})`);
+        }
+    },
+    {
+        id: '003-listing-history-backfill',
+        description: 'Start the price history of listings saved before the history trigger with their current price',
+        run: async (client) => {
+            const inserted = await client.query(
+                `INSERT INTO listing_history (listing_id, changed_at, price, currency, status)
+                 SELECT p.id::text,
+                        COALESCE(p.majorchangetimestamp::timestamptz, p.originalentrytimestamp::timestamptz, NOW()),
+                        p.currentpricepublic, p.listingcurrency, p.mlsstatus
+                 FROM mls_properties p
+                 WHERE NOT EXISTS (SELECT 1 FROM listing_history h WHERE h.listing_id = p.id::text)`
+            );
+            console.log(`-------✅ Started the history of ${inserted.rowCount} listings`);
+        }
+    },
+    {
+        id: '004-unique-listing-details',
+        description: 'Keep the newest mls_properties_details row per listing and add a unique index on mlsid',
+        run: async (client) => {
+            const removed = await client.query(
+                `DELETE FROM mls_properties_details d
+                 USING (
+                     SELECT ctid, ROW_NUMBER() OVER (
+                         PARTITION BY mlsid
+                         ORDER BY ${DETAILS_LAST_WRITTEN} DESC NULLS LAST, ctid DESC
+                     ) AS copy
+                     FROM mls_properties_details
+                 ) ranked
+                 WHERE d.ctid = ranked.ctid AND ranked.copy > 1`
+            );
+            console.log(`-------✅ Removed ${removed.rowCount} duplicate listing details rows`);
+
+            await createIndexConcurrently(client, 'mls_properties_details_mlsid_key', 'ON mls_properties_details (mlsid)', true);
+        }
+    }
+];
+
+// =============================================================================
+// RUNNER
+// =============================================================================
+
+/**
+ * pendingMigrations - Migrations not applied yet, in order
+ * -----------------------------------------------------------------------------
+ * @param {Object} client - PostgreSQL client (schema_migrations must exist,
+ *        see routes/schema.js)
+ * @returns {Promise<Array>} Entries of MIGRATIONS
+ */
+async function pendingMigrations(client) {
+    const result = await client.query('SELECT id FROM schema_migrations');
+    const applied = new Set(result.rows.map(row => row.id));
+    return MIGRATIONS.filter(migration => !applied.has(migration.id));
+}
+
+/**
+ * runMigrations - Apply every pending migration, in order
+ * -----------------------------------------------------------------------------
+ * @param {Object} client - PostgreSQL client
+ * @returns {Promise<Array>} Ids of the migrations applied by this run
+ */
+async function runMigrations(client) {
+    console.log("--------------🚀 IN migrations.js - runMigrations function");
+
+    const applied = [];
+    for (const migration of await pendingMigrations(client)) {
+        const startedAt = Date.now();
+        console.log(`-------✅ Running migration ${migration.id}: ${migration.description}`);
+        await migration.run(client);
+        await client.query('INSERT INTO schema_migrations (id) VALUES ($1) ON CONFLICT (id) DO NOTHING', [migration.id]);
+        console.log(`-------✅ Migration ${migration.id} applied in ${Date.now() - startedAt}ms`);
+        applied.push(migration.id);
+    }
+    return applied;
+}
+
+// =============================================================================
+// MODULE EXPORTS
+// =============================================================================
+module.exports = {
+    MIGRATIONS,
+    createIndexConcurrently,
+    pendingMigrations,
+    runMigrations
+};
@@ -0,0 +1,436 @@
+/**
+ * =============================================================================
+ * NATURAL-LANGUAGE SEARCH PARSER (routes/nlSearch.js)
+ * =============================================================================
+ *
+ * Turns a free-text query such as
+ *   "3 bed house with pool near Pedregal under 600k, pets ok"
+ * into the same filter object POST /search accepts:
+ *   { bedrooms: 3, propertyType: "Houses", pool: true,
+ *     location: "Pedregal", maxPrice: 600000, amenities: ["petsAllowed"] }
+ *
+ * HOW IT WORKS:
+ * - Rule-based only: a list of regular expressions (English and Spanish),
+ *   no external service, so it runs offline
+ * - Each rule that matches removes its text from the query, so a phrase is
+ *   never interpreted twice ("over 200 m2" is an area, not a price)
+ * - The place name is resolved last with the location matcher passed in by
+ *   index.js (areaCitySubdivisionMatch)
+ * - Whatever is left over is returned as "unparsed" so the UI can show it
+ *
+ * CONNECTION TO index.js:
+ * - parseSearchText is called by the POST /search/parse endpoint
+ * =============================================================================
+ */
+
+// =============================================================================
+// VOCABULARY
+// =============================================================================
+
+/**
+ * Spelled-out numbers accepted for bedroom/bathroom counts
+ */
+const NUMBER_WORDS = {
+    one: 1, two: 2, three: 3, four: 4, five: 5, six: 6,
+    uno: 1, una: 1, dos: 2, tres: 3, cuatro: 4, cinco: 5, seis: 6
+};
+
+/**
+ * Words for each property type. Values match the propertyType select in
+ * form.html.
+ */
+const PROPERTY_TYPE_WORDS = [
+    { value: 'Houses', pattern: /\b(?:houses?|homes?|casas?)\b/i },
+    { value: 'Condos', pattern: /\b(?:condos?|condominiums?|condominios?)\b/i },
+    { value: 'Apartments', pattern: /\b(?:apartments?|apts?|departamentos?|deptos?)\b/i },
+    { value: 'Land', pattern: /\b(?:land|lots?|terrenos?|lotes?)\b/i }
+];
+
+/**
+ * Words for each boolean feature flag (keys of FEATURE_CONDITIONS)
+ */
+const FEATURE_WORDS = [
+    { flag: 'pool', label: 'Pool', pattern: /\b(?:swimming pool|pool|alberca|piscina)\b/i },
+    { flag: 'cfe', label: 'CFE electricity', pattern: /\b(?:cfe|grid power|grid electricity)\b/i },
+    { flag: 'openHouse', label: 'Open house', pattern: /\bopen houses?\b/i },
+    { flag: 'virtualTour', label: 'Virtual tour', pattern: /\b(?:virtual|3d) tours?\b/i },
+    { flag: 'newListing', label: 'New listing', pattern: /\b(?:new listings?|newly listed)\b/i },
+    { flag: 'priceReduced', label: 'Price reduced', pattern: /\b(?:price reduced|reduced|reducid[oa])\b/i }
+];
+
+/**
+ * Words for amenity tags (see routes/amenities.js). Several can be required
+ * at once, so they add to filters.amenities instead of setting a flag.
+ * Preceded by AMENITY_NEGATION ("no pets allowed") they add to
+ * filters.excludeAmenities instead. Bare nouns ("mascotas") are not tags:
+ * "sin mascotas" and "con mascotas" mean opposite things.
+ */
+const AMENITY_WORDS = [
+    { tag: 'petsAllowed', label: 'Pets allowed', pattern: /\b(?:pets? (?:ok|allowed|welcome|friendly)|pet[- ]friendly|se (?:aceptan|permiten) mascotas|mascotas (?:permitidas|bienvenidas))\b/i },
+    { tag: 'oceanView', label: 'Ocean view', pattern: /\b(?:(?:ocean|sea) views?|vista al mar)\b/i },
+    { tag: 'beachfront', label: 'Beachfront', pattern: /\b(?:beach ?front|ocean ?front|frente al mar)\b/i },
+    { tag: 'solar', label: 'Solar', pattern: /\bsolar(?: panels?| power)?\b/i },
+    { tag: 'waterWell', label: 'Water well', pattern: /\b(?:water well|pozo)\b/i },
+    { tag: 'gatedCommunity', label: 'Gated community', pattern: /\b(?:gated(?: community)?|privada)\b/i },
+    { tag: 'furnished', label: 'Furnished', pattern: /\b(?:furnished|amueblad[oa]s?)\b/i },
+    { tag: 'palapa', label: 'Palapa', pattern: /\bpalapas?\b/i },
+    { tag: 'garage', label: 'Garage', pattern: /\b(?:garage|cochera)\b/i },
+    { tag: 'airConditioning', label: 'Air conditioning', pattern: /(?:\ba\/c\b|\bair condition(?:ing|ed)?\b|\baire acondicionado\b)/i }
+];
+
+/**
+ * Word that turns an amenity phrase into an exclusion ("without a garage")
+ */
+const AMENITY_NEGATION = String.raw`\b(no|sin|without|not)\s+(?:(?:a|an|un|una)\s+)?`;
+
+/**
+ * Words that introduce a place name ("near Pedregal", "en La Paz")
+ */
+const LOCATION_PREPOSITIONS = /\b(?:near|in|around|close to|at|cerca de|en)\s+/i;
+
+/**
+ * Words that end a place name ("near Pedregal with pool")
+ */
+const LOCATION_STOP_WORDS = /\s+\b(?:with|and|for|under|over|con|y|para)\b.*$/i;
+
+/**
+ * Filler words ignored when reporting unparsed text
+ */
+const FILLER_WORDS = new Set([
+    'a', 'an', 'the', 'with', 'and', 'or', 'for', 'sale', 'in', 'near', 'of', 'to', 'at',
+    'con', 'y', 'o', 'de', 'en', 'la', 'el', 'los', 'las', 'para', 'venta', 'un', 'una'
+]);
+
+/**
+ * Minimum areaCitySubdivisionMatch confidence for a place name found
+ * WITHOUT a preposition, to avoid reading ordinary words as places
+ */
+const BARE_LOCATION_MIN_CONFIDENCE = 0.8;
+
+/**
+ * Longest free-text query accepted
+ */
+const MAX_QUERY_LENGTH = 300;
+
+// =============================================================================
+// VALUE PARSING
+// =============================================================================
+
+/**
+ * Amount with optional $, k/m/mil suffix and currency word:
+ * "600k", "$1.2m", "450,000 usd", "3 millones de pesos"
+ */
+const AMOUNT = String.raw`\$?\s*(\d[\d,]*(?:\.\d+)?)\s*(k|mm|m|mil|thousand|million|millones|millón|millon)?\b(?:\s*(?:de\s+)?(usd|dollars|dólares|dolares|pesos|mxn)\b)?`;
+
+/**
+ * Currency words mapped to the codes /search accepts
+ */
+const CURRENCY_WORDS = {
+    usd: 'USD', dollars: 'USD', 'dólares': 'USD', dolares: 'USD',
+    pesos: 'MXN', mxn: 'MXN'
+};
+
+/**
+ * Count: digit or spelled-out number
+ */
+const COUNT = String.raw`(\d+|${Object.keys(NUMBER_WORDS).join('|')})`;
+
+/**
+ * Area unit: m2, m², sqm, square meters, metros cuadrados
+ */
+const AREA_UNIT = String.raw`\s*(?:m2|m²|sqm|sq\.? ?m|square met(?:er|re)s?|metros(?: cuadrados)?)`;
+
+/**
+ * parseAmount - Convert an AMOUNT match into a number
+ * @param {string} digits - Captured digits ("1.2", "450,000")
+ * @param {string|undefined} suffix - Captured suffix ("k", "m", "mil")
+ * @returns {number}
+ */
+function parseAmount(digits, suffix) {
+    const value = parseFloat(digits.replace(/,/g, ''));
+    switch ((suffix || '').toLowerCase()) {
+        case 'k':
+        case 'mil':
+        case 'thousand':
+            return Math.round(value * 1000);
+        case 'm':
+        case 'mm':
+        case 'million':
+        case 'millones':
+        case 'millón':
+        case 'millon':
+            return Math.round(value * 1000000);
+        default:
+            return Math.round(value);
+    }
+}
+
+/**
+ * parseCount - Convert a COUNT match into a number
+ * @param {string} value - Digits or a word from NUMBER_WORDS
+ * @returns {number}
+ */
+function parseCount(value) {
+    const lower = value.toLowerCase();
+    return lower in NUMBER_WORDS ? NUMBER_WORDS[lower] : parseInt(lower, 10);
+}
+
+/**
+ * parseCurrency - Currency code for a captured currency word
+ * @param {string|undefined} word - "pesos", "usd", ...
+ * @returns {string|null}
+ */
+function parseCurrency(word) {
+    return word ? CURRENCY_WORDS[word.toLowerCase()] || null : null;
+}
+
+/**
+ * formatAmount - "$600,000" / "MX$3,000,000" for the understood labels
+ */
+function formatAmount(value, currency) {
+    return new Intl.NumberFormat('en-US', {
+        style: 'currency',
+        currency: currency || 'USD',
+        maximumFractionDigits: 0
+    }).format(value);
+}
+
+// =============================================================================
+// RULES
+// =============================================================================
+/**
+ * Each rule has:
+ * - pattern: Case-insensitive regular expression (tried once per query)
+ * - interpret(match): Returns { filters, label, currency?, amenity?, excluded? }
+ *   or null to skip the match. currency is set when the amount named one
+ *   ("pesos"); amenity is a tag added to filters.amenities, or to
+ *   filters.excludeAmenities when excluded is set.
+ *
+ * Rules run in order. Area runs before price so "over 200 m2" is not read as
+ * a price, and bedrooms/bathrooms run before price so "3 bed" is not either.
+ * Features run before property types so "open house" is not read as a house.
+ */
+const RULES = [
+    {
+        pattern: new RegExp(String.raw`\b(?:between|entre)\s+(\d[\d,]*)\s*(?:and|to|y|-)\s*(\d[\d,]*)${AREA_UNIT}`, 'i'),
+        interpret: (m) => {
+            const [min, max] = [parseAmount(m[1]), parseAmount(m[2])].sort((a, b) => a - b);
+            return { filters: { minArea: min, maxArea: max }, label: `${min}-${max} m²` };
+        }
+    },
+    {
+        pattern: new RegExp(String.raw`\b(?:under|below|less than|up to|max(?:imum)?|hasta|menos de)\s+(\d[\d,]*)${AREA_UNIT}`, 'i'),
+        interpret: (m) => {
+            const max = parseAmount(m[1]);
+            return { filters: { maxArea: max }, label: `Up to ${max} m²` };
+        }
+    },
+    {
+        pattern: new RegExp(String.raw`(?:\b(?:over|above|more than|at least|min(?:imum)?|desde|más de|mas de)\s+)?(\d[\d,]*)${AREA_UNIT}`, 'i'),
+        interpret: (m) => {
+            const min = parseAmount(m[1]);
+            return { filters: { minArea: min }, label: `At least ${min} m²` };
+        }
+    },
+    {
+        pattern: new RegExp(String.raw`\b${COUNT}\s*\+?\s*-?\s*(?:bed(?:room)?s?|bd|br|rec[aá]maras?|habitaciones?|cuartos?)\b`, 'i'),
+        interpret: (m) => {
+            const bedrooms = parseCount(m[1]);
+            return { filters: { bedrooms }, label: `${bedrooms}+ bedrooms` };
+        }
+    },
+    {
+        pattern: new RegExp(String.raw`\b${COUNT}\s*\+?\s*-?\s*(?:bath(?:room)?s?|ba|baños?|banos?)\b`, 'i'),
+        interpret: (m) => {
+            const bathrooms = parseCount(m[1]);
+            return { filters: { bathrooms }, label: `${bathrooms}+ bathrooms` };
+        }
+    },
+    {
+        pattern: new RegExp(String.raw`\b(?:between|entre)\s+${AMOUNT}\s*(?:and|to|y|-)\s*${AMOUNT}`, 'i'),
+        interpret: (m) => {
+            // "between 300 and 500k pesos" - the second suffix and currency apply to both
+            const [min, max] = [parseAmount(m[1], m[2] || m[5]), parseAmount(m[4], m[5])].sort((a, b) => a - b);
+            const currency = parseCurrency(m[3] || m[6]);
+            return { filters: { minPrice: min, maxPrice: max }, currency, label: `${formatAmount(min, currency)} - ${formatAmount(max, currency)}` };
+        }
+    },
+    {
+        pattern: new RegExp(String.raw`(?:\b(?:under|below|less than|up to|no more than|max(?:imum)?|hasta|menos de)\s+|<\s*)${AMOUNT}`, 'i'),
+        interpret: (m) => {
+            const max = parseAmount(m[1], m[2]);
+            const currency = parseCurrency(m[3]);
+            return { filters: { maxPrice: max }, currency, label: `Under ${formatAmount(max, currency)}` };
+        }
+    },
+    {
+        pattern: new RegExp(String.raw`(?:\b(?:over|above|more than|at least|min(?:imum)?|from|desde|más de|mas de)\s+|>\s*)${AMOUNT}`, 'i'),
+        interpret: (m) => {
+            const min = parseAmount(m[1], m[2]);
+            const currency = parseCurrency(m[3]);
+            return { filters: { minPrice: min }, currency, label: `Over ${formatAmount(min, currency)}` };
+        }
+    },
+    ...FEATURE_WORDS.map(feature => ({
+        pattern: feature.pattern,
+        interpret: () => ({ filters: { [feature.flag]: true }, label: feature.label })
+    })),
+    ...AMENITY_WORDS.map(amenity => ({
+        pattern: new RegExp(String.raw`(?:${AMENITY_NEGATION})?(?:${amenity.pattern.source})`, 'i'),
+        interpret: (m) => m[1]
+            ? { filters: {}, amenity: amenity.tag, excluded: true, label: `No ${amenity.label.toLowerCase()}` }
+            : { filters: {}, amenity: amenity.tag, label: amenity.label }
+    })),
+    ...PROPERTY_TYPE_WORDS.map(type => ({
+        pattern: type.pattern,
+        interpret: () => ({ filters: { propertyType: type.value }, label: type.value })
+    }))
+];
+
+// =============================================================================
+// PARSING
+// =============================================================================
+
+/**
+ * Marks removed text so leftover words on both sides never join up
+ */
+const SEPARATOR = ' | ';
+
+/**
+ * findLocation - Resolve a place name in the leftover text
+ * -----------------------------------------------------------------------------
+ * 1. Phrases after a preposition ("near Pedregal"), longest prefix first
+ * 2. Otherwise each leftover segment, only with a confident match
+ *
+ * @param {string} remaining - Query text with the other rules' matches removed
+ * @param {Function} matchLocation - async (phrase) => locationMatch | null
+ * @returns {Object|null} { text, phrase, match }
+ */
+async function findLocation(remaining, matchLocation) {
+    for (const segment of remaining.split(/[|,;]/)) {
+        const preposition = segment.match(LOCATION_PREPOSITIONS);
+        if (!preposition) continue;
+
+        const start = preposition.index;
+        const words = segment.slice(start + preposition[0].length).replace(LOCATION_STOP_WORDS, '').trim().split(/\s+/);
+
+        for (let length = words.length; length > 0; length--) {
+            const phrase = words.slice(0, length).join(' ');
+            const match = await matchLocation(phrase);
+            if (match) {
+                return { text: `${preposition[0]}${phrase}`.trim(), phrase, match };
+            }
+        }
+    }
+
+    for (const segment of remaining.split(/[|,;]/)) {
+        const phrase = segment.split(/\s+/).filter(word => word && !FILLER_WORDS.has(word.toLowerCase())).join(' ');
+        if (phrase.length < 4) continue;
+
+        const match = await matchLocation(phrase);
+        if (match && match.confidence >= BARE_LOCATION_MIN_CONFIDENCE) {
+            return { text: phrase, phrase, match };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * removeText - Replace the first occurrence of text with SEPARATOR
+ */
+function removeText(remaining, text) {
+    const index = remaining.toLowerCase().indexOf(text.toLowerCase());
+    if (index === -1) return remaining;
+    return remaining.slice(0, index) + SEPARATOR + remaining.slice(index + text.length);
+}
+
+/**
+ * parseSearchText - Compile a free-text query into search filters
+ * -----------------------------------------------------------------------------
+ * @param {string} text - The user's query
+ * @param {Function} matchLocation - async (phrase) => locationMatch | null
+ *                                   (index.js passes areaCitySubdivisionMatch)
+ * @returns {Promise<Object>} Parse result:
+ * {
+ *   query: "3 bed house with pool near Pedregal under 600k, pets ok, needs work",
+ *   filters: { bedrooms: 3, propertyType: "Houses", pool: true,
+ *              maxPrice: 600000, location: "Pedregal",
+ *              amenities: ["petsAllowed"] },
+ *   understood: [
+ *     { text: "3 bed", label: "3+ bedrooms", filters: { bedrooms: 3 } },
+ *     ...
+ *   ],
+ *   unparsed: ["needs work"],
+ *   locationMatch: { ... } | null
+ * }
+ */
+async function parseSearchText(text, matchLocation) {
+    console.log("--------------🚀 IN nlSearch.js - parseSearchText function");
+
+    const query = String(text || '').trim().slice(0, MAX_QUERY_LENGTH);
+    const filters = {};
+    const understood = [];
+    let remaining = query;
+
+    for (const rule of RULES) {
+        const match = remaining.match(rule.pattern);
+        if (!match) continue;
+
+        const result = rule.interpret(match);
+        if (!result) continue;
+
+        // The first phrase wins when two set the same filter ("house or condo")
+        if (Object.keys(result.filters).some(key => key in filters)) continue;
+
+        Object.assign(filters, result.filters);
+        if (result.currency && !filters.currency) {
+            filters.currency = result.currency;
+        }
+        if (result.amenity) {
+            const key = result.excluded ? 'excludeAmenities' : 'amenities';
+            filters[key] = [...(filters[key] || []), result.amenity];
+            result.filters = { [key]: [result.amenity] };
+        }
+        understood.push({ text: match[0].trim(), label: result.label, filters: result.filters });
+        remaining = remaining.slice(0, match.index) + SEPARATOR + remaining.slice(match.index + match[0].length);
+    }
+
+    let locationMatch = null;
+    const location = await findLocation(remaining, matchLocation);
+    if (location) {
+        locationMatch = location.match;
+
+        // Send the canonical name unless the match was ambiguous, so /search
+        // resolves it the same way
+        const value = !locationMatch.ambiguous && locationMatch.matchedValue ? locationMatch.matchedValue : location.phrase;
+        filters.location = value;
+        understood.push({ text: location.text, label: `Near ${value}`, filters: { location: value } });
+        remaining = removeText(remaining, location.text);
+    }
+
+    // Report phrases in the order they were typed
+    const position = (item) => query.toLowerCase().indexOf(item.text.toLowerCase());
+    understood.sort((a, b) => position(a) - position(b));
+
+    const unparsed = remaining
+        .split(/[|,;.]/)
+        .map(segment => segment.trim().split(/\s+/).filter(word => word && !FILLER_WORDS.has(word.toLowerCase())).join(' '))
+        .filter(Boolean);
+
+    console.log(`-------✅ Parsed "${query}" into ${understood.length} filters, ${unparsed.length} unparsed parts`);
+
+    return { query, filters, understood, unparsed, locationMatch };
+}
+
+// =============================================================================
+// MODULE EXPORTS
+// =============================================================================
+module.exports = {
+    MAX_QUERY_LENGTH,
+    PROPERTY_TYPE_WORDS,
+    FEATURE_WORDS,
+    AMENITY_WORDS,
+    parseAmount,
+    parseSearchText
+};
@@ -0,0 +1,201 @@
+/**
+ * =============================================================================
+ * PROPERTY TYPE TAXONOMY (routes/propertyTypes.js)
+ * =============================================================================
+ *
+ * The MLS describes a listing's type with two free-text columns,
+ * propertyclass (e.g. "Residential", "Land") and propertytypelabel
+ * (e.g. "Houses", "Single Family Residence", "Lots/Land"). The exact text
+ * varies between listings, so searching on it directly is fragile.
+ *
+ * This module maps a small set of friendly categories ("Houses", "Condos",
+ * "Land", ...) onto every MLS value that belongs to them. It is used to:
+ * - Filter /search by one or more categories (propertyType)
+ * - Return each listing's category ("propertyCategory")
+ * - Count listings per category for /facets
+ * - Build the property type select in form.html (GET /property-types)
+ *
+ * ADDING A CATEGORY OR MLS VALUE:
+ * Edit PROPERTY_TYPES. labels/classes are compared case-insensitively.
+ * Listings are assigned to the first category whose labels match, then to
+ * the first whose classes match, so a label always wins over a class.
+ * =============================================================================
+ */
+
+// =============================================================================
+// TAXONOMY
+// =============================================================================
+/**
+ * value: Value clients send as propertyType and receive as propertyCategory
+ * label/icon: Display text and Font Awesome icon for form.html
+ * labels: propertytypelabel values in this category
+ * classes: propertyclass values in this category
+ */
+const PROPERTY_TYPES = [
+    {
+        value: 'Houses',
+        label: 'House',
+        icon: 'home',
+        labels: ['Houses', 'House', 'Single Family Residence', 'Single Family', 'Casa', 'Casas', 'Villa', 'Villas'],
+        classes: []
+    },
+    {
+        value: 'Condos',
+        label: 'Condo',
+        icon: 'building',
+        labels: ['Condos', 'Condo', 'Condominium', 'Condominio', 'Townhouse', 'Townhouses', 'Townhome'],
+        classes: []
+    },
+    {
+        value: 'Apartments',
+        label: 'Apartment',
+        icon: 'city',
+        labels: ['Apartments', 'Apartment', 'Departamento', 'Departamentos'],
+        classes: []
+    },
+    {
+        value: 'Land',
+        label: 'Land',
+        icon: 'mountain',
+        labels: ['Land', 'Lots', 'Lot', 'Lots/Land', 'Lots and Land', 'Terreno', 'Terrenos', 'Farm/Ranch', 'Ranch'],
+        classes: ['Land', 'Lots and Land', 'Farm']
+    },
+    {
+        value: 'MultiFamily',
+        label: 'Multi-family',
+        icon: 'building',
+        labels: ['Multi-Family', 'Multifamily', 'Duplex', 'Triplex', 'Fourplex'],
+        classes: ['MultiFamily', 'Multi-Family']
+    },
+    {
+        value: 'Commercial',
+        label: 'Commercial',
+        icon: 'store',
+        labels: ['Commercial', 'Business', 'Local Comercial', 'Hotel'],
+        classes: ['Commercial', 'Commercial Sale']
+    }
+];
+
+/**
+ * Most categories/labels a client may select at once
+ */
+const MAX_PROPERTY_TYPES = 20;
+
+// =============================================================================
+// SQL
+// =============================================================================
+
+/**
+ * sqlList - Quoted, lowercased SQL list of taxonomy constants
+ */
+function sqlList(values) {
+    return values.map(value => `'${value.toLowerCase().replace(/'/g, "''")}'`).join(', ');
+}
+
+/**
+ * Label and class conditions per category. Built from the constants above
+ * only, so they need no parameters.
+ */
+const LABEL_CONDITIONS = Object.fromEntries(PROPERTY_TYPES.map(type => [
+    type.value,
+    `lower(propertytypelabel) IN (${sqlList(type.labels)})`
+]));
+const CLASS_CONDITIONS = Object.fromEntries(PROPERTY_TYPES
+    .filter(type => type.classes.length > 0)
+    .map(type => [type.value, `lower(propertyclass) IN (${sqlList(type.classes)})`]));
+
+/**
+ * Condition that is true when a listing belongs to the category
+ */
+const PROPERTY_TYPE_CONDITIONS = Object.fromEntries(PROPERTY_TYPES.map(type => [
+    type.value,
+    CLASS_CONDITIONS[type.value]
+        ? `(${LABEL_CONDITIONS[type.value]} OR ${CLASS_CONDITIONS[type.value]})`
+        : `(${LABEL_CONDITIONS[type.value]})`
+]));
+
+/**
+ * SQL expression returning a listing's category value, or NULL when its
+ * type isn't in the taxonomy. Selected as "propertyCategory" in results.
+ */
+const PROPERTY_CATEGORY_EXPRESSION = `CASE ${[
+    ...PROPERTY_TYPES.map(type => `WHEN ${LABEL_CONDITIONS[type.value]} THEN '${type.value}'`),
+    ...Object.entries(CLASS_CONDITIONS).map(([value, condition]) => `WHEN ${condition} THEN '${value}'`)
+].join(' ')} END`;
+
+// =============================================================================
+// LOOKUP
+// =============================================================================
+
+/**
+ * findPropertyType - Taxonomy entry for a category value (case-insensitive)
+ * @param {string} value - e.g. "houses" or "Houses"
+ * @returns {Object|null}
+ */
+function findPropertyType(value) {
+    const lower = String(value).toLowerCase();
+    return PROPERTY_TYPES.find(type => type.value.toLowerCase() === lower) || null;
+}
+
+/**
+ * parsePropertyTypeList - Normalize propertyType from the request body
+ * -----------------------------------------------------------------------------
+ * Accepts a single value, an array, or a comma-separated string. Category
+ * values are normalized to their canonical spelling; anything else is kept
+ * as a raw MLS propertytypelabel.
+ *
+ * @param {*} value - Raw value from the request body
+ * @returns {Array|null} Values, or null when none were sent
+ */
+function parsePropertyTypeList(value) {
+    if (value === undefined || value === null || value === '') return null;
+
+    const list = Array.isArray(value) ? value : String(value).split(',');
+    const values = list
+        .map(item => String(item).trim())
+        .filter(Boolean)
+        .map(item => (findPropertyType(item) ? findPropertyType(item).value : item));
+
+    const unique = [...new Set(values)];
+    return unique.length > 0 ? unique : null;
+}
+
+/**
+ * propertyTypeCondition - SQL condition matching any of the selected types
+ * -----------------------------------------------------------------------------
+ * Categories use their fixed conditions; raw MLS labels are compared with a
+ * parameter, so older clients sending "Single Family Residence" still work.
+ *
+ * @param {Array} values - From parsePropertyTypeList()
+ * @param {Object} params - createQueryParams() accumulator
+ * @returns {string} SQL condition
+ */
+function propertyTypeCondition(values, params) {
+    const conditions = values.map(value => {
+        const type = findPropertyType(value);
+        return type ? PROPERTY_TYPE_CONDITIONS[type.value] : `propertytypelabel = ${params.add(value)}`;
+    });
+    return conditions.length === 1 ? conditions[0] : `(${conditions.join(' OR ')})`;
+}
+
+/**
+ * propertyTypeVocabulary - The taxonomy as returned by GET /property-types
+ * @returns {Array} [{ value, label, icon, labels, classes }]
+ */
+function propertyTypeVocabulary() {
+    return PROPERTY_TYPES.map(({ value, label, icon, labels, classes }) => ({ value, label, icon, labels, classes }));
+}
+
+// =============================================================================
+// MODULE EXPORTS
+// =============================================================================
+module.exports = {
+    PROPERTY_TYPES,
+    PROPERTY_TYPE_CONDITIONS,
+    PROPERTY_CATEGORY_EXPRESSION,
+    MAX_PROPERTY_TYPES,
+    findPropertyType,
+    parsePropertyTypeList,
+    propertyTypeCondition,
+    propertyTypeVocabulary
+};
@@ -0,0 +1,207 @@
+/**
+ * =============================================================================
+ * DATABASE SCHEMA MODULE (routes/schema.js)
+ * =============================================================================
+ *
+ * Creates the columns and tables this application relies on beyond
+ * the mls_properties / mls_properties_details tables (mls_properties is
+ * filled by routes/listingSync.js).
+ *
+ * Every statement is idempotent (IF NOT EXISTS), so ensureSchema() is safe to
+ * run on every server start. Nothing here may delete rows or scan the whole
+ * table: that work is a one-off migration (routes/migrations.js, applied with
+ * `npm run migrate`).
+ *
+ * CONNECTION TO index.js:
+ * - ensureSchema is awaited once the PostgreSQL client connects, before the
+ *   server starts listening; a failure stops the process
+ * =============================================================================
+ */
+
+const { DEFAULT_RATES } = require('./currency');
+const { DEFAULT_LOCATION_GROUPS } = require('./locationGroups');
+const { DEFAULT_LOCATION_ALIASES } = require('./locationAliases');
+
+/**
+ * sqlText - Quote a constant for the seed statements below
+ */
+function sqlText(value) {
+    return value === null || value === undefined ? 'NULL' : `'${String(value).replace(/'/g, "''")}'`;
+}
+
+// =============================================================================
+// SCHEMA STATEMENTS
+// =============================================================================
+
+/**
+ * Statements run in order by ensureSchema()
+ */
+const SCHEMA_STATEMENTS = [
+    // One-off migrations applied by `npm run migrate` (see routes/migrations.js)
+    `CREATE TABLE IF NOT EXISTS schema_migrations (
+        id VARCHAR(100) PRIMARY KEY,
+        applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )`,
+
+    // Columns kept by the listing sync (see routes/listingSync.js).
+    // off_market_at is set when a listing leaves the feed; searches skip it.
+    `ALTER TABLE mls_properties
+        ADD COLUMN IF NOT EXISTS mlsstatus TEXT,
+        ADD COLUMN IF NOT EXISTS modificationtimestamp TIMESTAMPTZ,
+        ADD COLUMN IF NOT EXISTS off_market_at TIMESTAMPTZ,
+        ADD COLUMN IF NOT EXISTS last_sync_run_id INTEGER`,
+
+    // Sold price and date (Spark ClosePrice/CloseDate), shown for sold listings
+    `ALTER TABLE mls_properties
+        ADD COLUMN IF NOT EXISTS closeprice NUMERIC,
+        ADD COLUMN IF NOT EXISTS closedate DATE`,
+
+    // Currency each listing is quoted in. Existing rows were always shown as
+    // USD, so that is the default until the feed sets it.
+    `ALTER TABLE mls_properties
+        ADD COLUMN IF NOT EXISTS listingcurrency VARCHAR(3) NOT NULL DEFAULT 'USD'`,
+
+    // Exchange rates as units per 1 USD (see routes/currency.js)
+    `CREATE TABLE IF NOT EXISTS exchange_rates (
+        currency VARCHAR(3) PRIMARY KEY,
+        units_per_usd NUMERIC NOT NULL CHECK (units_per_usd > 0),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )`,
+
+    // Seed the defaults once; later edits in the table are kept
+    `INSERT INTO exchange_rates (currency, units_per_usd)
+        VALUES ${Object.entries(DEFAULT_RATES).map(([currency, rate]) => `('${currency}', ${Number(rate)})`).join(', ')}
+        ON CONFLICT (currency) DO NOTHING`,
+
+    // Named location groups searched as one location (see routes/locationGroups.js)
+    `CREATE TABLE IF NOT EXISTS location_groups (
+        name VARCHAR(100) PRIMARY KEY,
+        description TEXT,
+        locations TEXT[] NOT NULL,
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )`,
+
+    // Seed the groups that used to be hardcoded; later edits are kept
+    `INSERT INTO location_groups (name, description, locations)
+        VALUES ${DEFAULT_LOCATION_GROUPS.map(group =>
+            `(${sqlText(group.name)}, ${sqlText(group.description)}, ARRAY[${group.locations.map(sqlText).join(', ')}]::text[])`
+        ).join(', ')}
+        ON CONFLICT (name) DO NOTHING`,
+
+    // Local names for places (see routes/locationAliases.js). alias is stored
+    // folded: lowercase, without accents.
+    `CREATE TABLE IF NOT EXISTS location_aliases (
+        alias VARCHAR(100) PRIMARY KEY,
+        targets TEXT[] NOT NULL,
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )`,
+
+    `INSERT INTO location_aliases (alias, targets)
+        VALUES ${DEFAULT_LOCATION_ALIASES.map(entry =>
+            `(${sqlText(entry.alias)}, ARRAY[${entry.targets.map(sqlText).join(', ')}]::text[])`
+        ).join(', ')}
+        ON CONFLICT (alias) DO NOTHING`,
+
+    // Progress of the listing details cache warmer (see routes/detailsWarmer.js).
+    // An unfinished run is resumed from cursor (the last listing id done).
+    `CREATE TABLE IF NOT EXISTS details_warmer_runs (
+        id SERIAL PRIMARY KEY,
+        status VARCHAR(20) NOT NULL DEFAULT 'running',
+        cursor TEXT,
+        total INTEGER NOT NULL DEFAULT 0,
+        processed INTEGER NOT NULL DEFAULT 0,
+        fetched INTEGER NOT NULL DEFAULT 0,
+        failed INTEGER NOT NULL DEFAULT 0,
+        last_error TEXT,
+        started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        finished_at TIMESTAMPTZ
+    )`,
+
+    // One row per listing sync (see routes/listingSync.js). watermark is the
+    // ModificationTimestamp the next incremental sync starts from.
+    `CREATE TABLE IF NOT EXISTS listing_sync_runs (
+        id SERIAL PRIMARY KEY,
+        mode VARCHAR(20) NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'running',
+        modified_since TIMESTAMPTZ,
+        watermark TIMESTAMPTZ,
+        pages INTEGER NOT NULL DEFAULT 0,
+        fetched INTEGER NOT NULL DEFAULT 0,
+        upserted INTEGER NOT NULL DEFAULT 0,
+        marked_off_market INTEGER NOT NULL DEFAULT 0,
+        errors JSONB NOT NULL DEFAULT '[]'::jsonb,
+        started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        finished_at TIMESTAMPTZ
+    )`,
+
+    // Price and status changes per listing (see routes/listingHistory.js).
+    // price/currency are as listed; previous_* are NULL on a listing's first row.
+    `CREATE TABLE IF NOT EXISTS listing_history (
+        id BIGSERIAL PRIMARY KEY,
+        listing_id TEXT NOT NULL,
+        changed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        price NUMERIC,
+        previous_price NUMERIC,
+        currency VARCHAR(3),
+        status TEXT,
+        previous_status TEXT
+    )`,
+    `CREATE INDEX IF NOT EXISTS listing_history_listing_idx
+        ON listing_history (listing_id, changed_at)`,
+
+    // Written by a trigger so every writer of mls_properties is recorded, not
+    // only the listing sync. majorchangetimestamp is when the MLS says the
+    // change happened; the time of the write is used when it didn't move.
+    `CREATE OR REPLACE FUNCTION record_listing_history() RETURNS trigger AS $$
+    BEGIN
+        IF TG_OP = 'INSERT' THEN
+            INSERT INTO listing_history (listing_id, changed_at, price, currency, status)
+            VALUES (NEW.id::text,
+                    COALESCE(NEW.majorchangetimestamp::timestamptz, NEW.originalentrytimestamp::timestamptz, NOW()),
+                    NEW.currentpricepublic, NEW.listingcurrency, NEW.mlsstatus);
+        ELSIF NEW.currentpricepublic IS DISTINCT FROM OLD.currentpricepublic
+           OR NEW.mlsstatus IS DISTINCT FROM OLD.mlsstatus THEN
+            INSERT INTO listing_history (listing_id, changed_at, price, previous_price, currency, status, previous_status)
+            VALUES (NEW.id::text,
+                    CASE WHEN NEW.majorchangetimestamp IS DISTINCT FROM OLD.majorchangetimestamp
+                         THEN COALESCE(NEW.majorchangetimestamp::timestamptz, NOW()) ELSE NOW() END,
+                    NEW.currentpricepublic, OLD.currentpricepublic, NEW.listingcurrency,
+                    NEW.mlsstatus, OLD.mlsstatus);
+        END IF;
+        RETURN NEW;
+    END $$ LANGUAGE plpgsql`,
+
+    // Trigger DDL locks mls_properties, so it only runs when the trigger is
+    // missing. Listings from before it are backfilled by migration 003.
+    `DO $$
+    BEGIN
+        IF NOT EXISTS (
+            SELECT 1 FROM pg_trigger
+            WHERE tgname = 'mls_properties_history' AND tgrelid = 'mls_properties'::regclass
+        ) THEN
+            CREATE TRIGGER mls_properties_history
+                AFTER INSERT OR UPDATE OF currentpricepublic, mlsstatus ON mls_properties
+                FOR EACH ROW EXECUTE FUNCTION record_listing_history();
+        END IF;
+    END $$`
+];
+
+/**
+ * ensureSchema - Create missing columns and tables
+ * -----------------------------------------------------------------------------
+ * @param {Object} client - PostgreSQL client
+ * @returns {Promise<void>}
+ */
+async function ensureSchema(client) {
+    console.log("--------------🚀 IN schema.js - ensureSchema function");
+    for (const statement of SCHEMA_STATEMENTS) {
+        await client.query(statement);
+    }
+    console.log(`-------✅ Schema verified (${SCHEMA_STATEMENTS.length} statements)`);
+}
+
+// =============================================================================
+// MODULE EXPORTS
+// =============================================================================
+module.exports = { SCHEMA_STATEMENTS, ensureSchema };
@@ -0,0 +1,1198 @@
+/**
+ * =============================================================================
+ * SEARCH QUERY BUILDER MODULE (routes/searchQuery.js)
+ * =============================================================================
+ *
+ * Turns a validated filter object into a parameterized PostgreSQL statement
+ * for the mls_properties table. User input NEVER gets concatenated into SQL -
+ * every value is pushed onto a parameter list and referenced as $1..$n.
+ *
+ * PRIMARY RESPONSIBILITIES:
+ * 1. Validate and normalize the raw search body sent by clients
+ * 2. Express each search filter as a small clause function
+ * 3. Assemble the clauses into a complete SELECT statement
+ * 4. Build the matching COUNT statement used for pagination
+ *
+ * ADDING A NEW FILTER:
+ * 1. Normalize the raw value in validateSearchFilters()
+ * 2. Write a clause function: (filters, params, context) => sql string | null
+ * 3. Add the clause function to SEARCH_CLAUSES
+ *
+ * CONNECTION TO index.js:
+ * - validateSearchFilters is called by the /search and /searchOrig endpoints
+ * - buildSearchQuery and buildCountQuery are called by fetchProperties()
+ * - locationClause is called by /test-location-match for its SQL preview
+ * =============================================================================
+ */
+
+const { BASE_CURRENCY, SUPPORTED_CURRENCIES, convertAmount } = require('./currency');
+const {
+    AMENITY_CONDITIONS,
+    AMENITY_TAGS_EXPRESSION,
+    parseAmenityList
+} = require('./amenities');
+const {
+    PROPERTY_CATEGORY_EXPRESSION,
+    MAX_PROPERTY_TYPES,
+    parsePropertyTypeList,
+    propertyTypeCondition
+} = require('./propertyTypes');
+const { PINNED_LEVELS, pinnedLocationMatch } = require('./locationDisambiguation');
+const { parseGroupPattern } = require('./locationGroups');
+const {
+    DEFAULT_LISTING_STATUSES,
+    LISTING_STATUS_EXPRESSION,
+    OFF_MARKET_LISTING_STATUSES,
+    listingStatusCondition,
+    parseListingStatusList
+} = require('./listingStatus');
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/**
+ * Fields retrieved from mls_properties for every search result.
+ * These fields are used by the frontend to display property cards.
+ */
+const FIELD_LIST = 'id, mlsid, listingid, originatingsystemlistingid,  city, mlsareamajor, subdivisionname, postalcode, buildingareatotal, propertyclass, propertytypelabel, lotsizedimensions, latitude, longitude, interiorfeatures, electric, architecturalstyle, patioandporchfeatures, poolfeatures, exteriorfeatures, roomstotal, kitchenappliances, bedstotal, bathroomstotaldecimal, publicremarks, petsallowed, currentpricepublic, majorchangetype, streetname, streetnumberinteger, streetadditionalinfo, unparsedaddress, unparsedfirstlineaddress, photoscount, virtualtourscount, openhousescount, yearbuilt, lotsizearea, originalentrytimestamp, majorchangetimestamp, listingcurrency, mlsstatus, closeprice, closedate';
+
+/**
+ * Columns filters and facets read that aren't in FIELD_LIST. The listing sync
+ * (routes/listingSync.js) writes FIELD_LIST plus these, so a column added to
+ * a clause or facet must be listed in one of the two.
+ */
+const FILTER_COLUMNS = ['bathsfull'];
+
+/**
+ * Page size used when the client doesn't send pageSize, and the largest
+ * page size a client may request
+ */
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * SQL expression for the listing price in USD (BASE_CURRENCY), whatever
+ * currency it was listed in. Price filters and sorts compare this value so
+ * peso and dollar listings rank together. See routes/currency.js.
+ */
+const PRICE_USD_EXPRESSION = '(currentpricepublic / COALESCE((SELECT units_per_usd FROM exchange_rates WHERE exchange_rates.currency = listingcurrency), 1))';
+
+/**
+ * SQL expression for price per square metre of building area, in USD.
+ * NULLIF keeps listings without a building area from dividing by zero.
+ */
+const PRICE_PER_M2_EXPRESSION = `${PRICE_USD_EXPRESSION} / NULLIF(buildingareatotal, 0)`;
+
+/**
+ * featureText - Plain text of a feature column for full-text search
+ * -----------------------------------------------------------------------------
+ * Feature columns hold JSON like {"Ocean View": true}. Stripping the JSON
+ * punctuation and true/false values leaves just the feature names.
+ *
+ * @param {string} column - Column name from mls_properties
+ * @returns {string} SQL text expression
+ */
+function featureText(column) {
+    return `regexp_replace(coalesce(${column}::text, ''), '"?(true|false)"?|[{}\\[\\]":,]', ' ', 'g')`;
+}
+
+/**
+ * Text searched by the keyword filter: public remarks plus feature lists
+ */
+const FULL_TEXT_REMARKS = "coalesce(publicremarks, '')";
+const FULL_TEXT_FEATURES = ['interiorfeatures', 'exteriorfeatures', 'architecturalstyle', 'kitchenappliances']
+    .map(featureText)
+    .join(" || ' ' || ");
+
+/**
+ * Markers ts_headline puts around matched words in searchSnippet. They are
+ * control characters, not HTML: remarks are plain text, so clients escape the
+ * snippet and then turn the markers into highlighting (form.html uses <mark>).
+ */
+const SNIPPET_MARKERS = { start: '\u0002', stop: '\u0003' };
+
+/**
+ * Full-text document indexed in both English and Spanish.
+ * Remarks are weighted above features (A vs B) when ranking.
+ * A GIN index is built on this exact expression (migration 002 in routes/migrations.js).
+ */
+const FULL_TEXT_DOCUMENT = `(setweight(to_tsvector('english', ${FULL_TEXT_REMARKS}), 'A') || setweight(to_tsvector('spanish', ${FULL_TEXT_REMARKS}), 'A') || setweight(to_tsvector('english', ${FULL_TEXT_FEATURES}), 'B') || setweight(to_tsvector('spanish', ${FULL_TEXT_FEATURES}), 'B'))`;
+
+/**
+ * fullTextQuery - tsquery matching a keyword in either language
+ * -----------------------------------------------------------------------------
+ * websearch_to_tsquery accepts user syntax such as "ocean view", quoted
+ * phrases, OR and -excluded words, and never raises a syntax error.
+ *
+ * @param {string} placeholder - Parameter placeholder holding the keyword
+ * @returns {string} SQL tsquery expression
+ */
+function fullTextQuery(placeholder) {
+    return `(websearch_to_tsquery('english', ${placeholder}) || websearch_to_tsquery('spanish', ${placeholder}))`;
+}
+
+/**
+ * Maximum keyword length accepted from clients
+ */
+const MAX_KEYWORD_LENGTH = 200;
+
+/**
+ * Whitelisted sort orders for search results.
+ * Keys are the values clients send as "sort"; values are ORDER BY expressions
+ * applied to the matching-rows subquery, so every column used here must be in
+ * FIELD_LIST. The id tie-breaker is appended by buildOrderBy().
+ */
+const SORT_OPTIONS = {
+    priceDesc: `${PRICE_USD_EXPRESSION} DESC NULLS LAST`,
+    priceAsc: `${PRICE_USD_EXPRESSION} ASC NULLS LAST`,
+    newest: 'originalentrytimestamp DESC NULLS LAST',
+    recentlyReduced: "(majorchangetype = 'Price Reduced') DESC, majorchangetimestamp DESC NULLS LAST",
+    largest: 'buildingareatotal DESC NULLS LAST',
+    pricePerM2Asc: `${PRICE_PER_M2_EXPRESSION} ASC NULLS LAST`,
+    pricePerM2Desc: `${PRICE_PER_M2_EXPRESSION} DESC NULLS LAST`,
+    yearBuiltDesc: 'yearbuilt DESC NULLS LAST',
+    yearBuiltAsc: 'yearbuilt ASC NULLS LAST',
+    recentlySold: 'closedate DESC NULLS LAST',
+    relevance: '"searchRank" DESC'      // Only valid with a keyword
+};
+
+const DEFAULT_SORT = 'priceDesc';
+
+/**
+ * Most locations (cities, areas, subdivisions or group names) a single
+ * search may combine, and the longest location accepted
+ */
+const MAX_LOCATIONS = 20;
+const MAX_LOCATION_LENGTH = 100;
+
+/**
+ * Min/max range filters accepted in the search body.
+ * Each entry names the body keys for both bounds and the SQL expression they
+ * constrain. integer: true rejects fractional values (years, room counts).
+ * currency: true means the bounds are in the requested currency and are
+ * converted to USD before comparing.
+ */
+const RANGE_FILTERS = [
+    { name: 'price', min: 'minPrice', max: 'maxPrice', expression: PRICE_USD_EXPRESSION, currency: true },
+    { name: 'area', min: 'minArea', max: 'maxArea', expression: 'buildingareatotal' },
+    { name: 'lotSize', min: 'minLotSize', max: 'maxLotSize', expression: 'lotsizearea' },
+    { name: 'yearBuilt', min: 'minYearBuilt', max: 'maxYearBuilt', expression: 'yearbuilt', integer: true },
+    { name: 'rooms', min: 'minRooms', max: 'maxRooms', expression: 'roomstotal', integer: true },
+    { name: 'pricePerM2', min: 'minPricePerM2', max: 'maxPricePerM2', expression: PRICE_PER_M2_EXPRESSION, currency: true }
+];
+
+/**
+ * Map viewport bounds accepted in the search body, with their valid ranges
+ */
+const BOUNDS_FIELDS = {
+    north: { min: -90, max: 90 },
+    south: { min: -90, max: 90 },
+    east: { min: -180, max: 180 },
+    west: { min: -180, max: 180 }
+};
+
+/**
+ * Limits for drawn map shapes
+ */
+const MAX_POLYGON_POINTS = 100;
+const MAX_RADIUS_KM = 200;
+
+/**
+ * Mean Earth radius used by the radius (haversine) clause
+ */
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * Boolean feature toggles accepted in the search body, with the fixed SQL
+ * condition each one applies (no parameters needed).
+ * cfe and pool are shortcuts for the amenity tags of the same name.
+ */
+const FEATURE_CONDITIONS = {
+    cfe: AMENITY_CONDITIONS.cfe,                // CFE electric
+    pool: AMENITY_CONDITIONS.pool,              // Has pool
+    newListing: "majorchangetype = 'New Listing'",
+    priceReduced: "majorchangetype = 'Price Reduced'",
+    openHouse: 'openhousescount > 0',
+    virtualTour: 'virtualtourscount > 0'
+};
+
+const BOOLEAN_FILTERS = Object.keys(FEATURE_CONDITIONS);
+
+/**
+ * Limits for the price history filters (reducedWithinDays, minReductionPercent)
+ */
+const MAX_REDUCED_WITHIN_DAYS = 365;
+const MAX_REDUCTION_PERCENT = 99;
+
+/**
+ * Highest price a listing has been listed at, from listing_history (see
+ * routes/listingHistory.js). Compared in the listing's own currency.
+ */
+const PEAK_PRICE_EXPRESSION = '(SELECT MAX(h.price) FROM listing_history h WHERE h.listing_id = mls_properties.id::text)';
+
+/**
+ * Latest price reduction of each returned row, joined in the outer search
+ * query: previousPrice (as listed) and priceReducedAt, NULL when never reduced
+ */
+const LAST_REDUCTION_JOIN = `LEFT JOIN LATERAL (
+    SELECT h.previous_price AS "previousPrice", h.changed_at AS "priceReducedAt"
+    FROM listing_history h
+    WHERE h.listing_id = matched.id::text AND h.price < h.previous_price
+    ORDER BY h.changed_at DESC LIMIT 1
+) AS reduction ON true`;
+
+/**
+ * Columns computed for each returned row on top of its stored fields, in the
+ * outer query of buildSearchQuery() and buildListingQuery()
+ */
+const DERIVED_COLUMNS = `${AMENITY_TAGS_EXPRESSION} AS "amenityTags", ${PROPERTY_CATEGORY_EXPRESSION} AS "propertyCategory", ${LISTING_STATUS_EXPRESSION} AS "listingStatus", reduction."previousPrice", reduction."priceReducedAt", GREATEST(0, CURRENT_DATE - matched.originalentrytimestamp::date) AS "daysOnMarket"`;
+
+// =============================================================================
+// PARAMETER HANDLING
+// =============================================================================
+
+/**
+ * createQueryParams - Placeholder accumulator for parameterized queries
+ * -----------------------------------------------------------------------------
+ * Collects query values in order and hands back the matching $n placeholder.
+ *
+ * @returns {Object} { values: Array, add: function(value) => '$n' }
+ *
+ * EXAMPLE:
+ *   const params = createQueryParams();
+ *   `city = ${params.add('La Paz')}`  // → "city = $1", values = ['La Paz']
+ */
+function createQueryParams() {
+    const values = [];
+    return {
+        values,
+        add(value) {
+            values.push(value);
+            return `$${values.length}`;
+        }
+    };
+}
+
+// =============================================================================
+// INPUT VALIDATION
+// =============================================================================
+
+/**
+ * parseBooleanFlag - Interpret a form/JSON value as a boolean toggle
+ * -----------------------------------------------------------------------------
+ * Accepts true, 'true', 'on', '1' and 1 as "enabled". Anything else is false.
+ *
+ * @param {*} value - Raw value from the request body
+ * @returns {boolean}
+ */
+function parseBooleanFlag(value) {
+    return value === true || value === 1 || ['true', 'on', '1'].includes(String(value).toLowerCase());
+}
+
+/**
+ * parseNonNegativeInt - Parse an optional whole number filter
+ * -----------------------------------------------------------------------------
+ * @param {*} value - Raw value from the request body
+ * @returns {number|null|undefined} Parsed number, null when empty, undefined when invalid
+ */
+function parseNonNegativeInt(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const parsed = Number(value);
+    if (!Number.isInteger(parsed) || parsed < 0) return undefined;
+    return parsed;
+}
+
+/**
+ * parseNonNegativeNumber - Parse an optional numeric bound
+ * -----------------------------------------------------------------------------
+ * @param {*} value - Raw value from the request body
+ * @param {boolean} integer - Whether only whole numbers are allowed
+ * @returns {number|null|undefined} Parsed number, null when empty, undefined when invalid
+ */
+function parseNonNegativeNumber(value, integer = false) {
+    if (value === undefined || value === null || value === '') return null;
+    const parsed = Number(value);
+    if (!Number.isFinite(parsed) || parsed < 0) return undefined;
+    if (integer && !Number.isInteger(parsed)) return undefined;
+    return parsed;
+}
+
+/**
+ * parseCoordinate - Parse a { lat, lng } or [lat, lng] map point
+ * -----------------------------------------------------------------------------
+ * @param {*} point - Raw point from the request body
+ * @returns {Object|null} { lat, lng } or null when invalid
+ */
+function parseCoordinate(point) {
+    if (!point) return null;
+    const lat = Number(Array.isArray(point) ? point[0] : point.lat);
+    const lng = Number(Array.isArray(point) ? point[1] : point.lng);
+    if (!Number.isFinite(lat) || lat < -90 || lat > 90) return null;
+    if (!Number.isFinite(lng) || lng < -180 || lng > 180) return null;
+    return { lat, lng };
+}
+
+/**
+ * parseLocationItem - Validate one entry of the location list
+ * -----------------------------------------------------------------------------
+ * @param {*} item - A location string or a pinned location object
+ * @returns {Object} { value } (null for blank strings) or { error }
+ */
+function parseLocationItem(item) {
+    const tooLong = (text) => typeof text === 'string' && text.length > MAX_LOCATION_LENGTH;
+
+    if (typeof item === 'string') {
+        if (tooLong(item.trim())) return { error: `each location must be ${MAX_LOCATION_LENGTH} characters or fewer` };
+        return { value: item.trim() || null };
+    }
+
+    if (item && typeof item === 'object' && !Array.isArray(item)) {
+        const { level, value, mlsareamajor = null, city = null } = item;
+        const optional = [mlsareamajor, city];
+        if (!PINNED_LEVELS.includes(level) || typeof value !== 'string' || value.trim() === '' ||
+            optional.some(part => part !== null && typeof part !== 'string') ||
+            [value, ...optional].some(tooLong)) {
+            return { error: `a pinned location needs level (${PINNED_LEVELS.join(', ')}) and value strings of ${MAX_LOCATION_LENGTH} characters or fewer` };
+        }
+        return { value: { level, value: value.trim(), mlsareamajor: mlsareamajor || null, city: city || null } };
+    }
+
+    return { error: 'location must be a string or an array of strings/pinned locations' };
+}
+
+/**
+ * validateSearchFilters - Normalize the raw search body into a filter object
+ * -----------------------------------------------------------------------------
+ * Every value that ends up in SQL passes through here first. Invalid values
+ * are reported in the errors array instead of being silently dropped.
+ *
+ * @param {Object} body - Raw request body (req.body)
+ * @returns {Object} { filters, errors }
+ *
+ * FILTER OBJECT STRUCTURE:
+ * {
+ *   propertyType: string[]|null (categories from routes/propertyTypes.js,
+ *                 or raw MLS labels),
+ *   status: string[] (values from routes/listingStatus.js, default
+ *           DEFAULT_LISTING_STATUSES),
+ *   location: Array|null (cities, areas, subdivisions or location group
+ *             names - resolved by index.js into context.locationMatches -
+ *             or pinned { level, value, mlsareamajor, city } objects
+ *             picked from a "did you mean" chooser),
+ *   blendLocations: boolean (search every candidate of an ambiguous
+ *                   location instead of asking which one was meant),
+ *   keyword: string|null,
+ *   minPrice, maxPrice: number|null,
+ *   minArea, maxArea: number|null,
+ *   minLotSize, maxLotSize: number|null,
+ *   minYearBuilt, maxYearBuilt: number|null,
+ *   minRooms, maxRooms: number|null,
+ *   minPricePerM2, maxPricePerM2: number|null,
+ *   bounds: { north, south, east, west }|null,
+ *   polygon: [{ lat, lng }, ...]|null,
+ *   radius: { lat, lng, km }|null,
+ *   bedrooms: number|null,
+ *   bathrooms: number|null,
+ *   reducedWithinDays: number|null,
+ *   minReductionPercent: number|null,
+ *   cfe, pool, newListing, priceReduced, openHouse, virtualTour: boolean,
+ *   amenities: string[] (tags every listing must have),
+ *   excludeAmenities: string[] (tags no listing may have),
+ *   currency: string (one of SUPPORTED_CURRENCIES, default "USD"),
+ *   sort: string (key of SORT_OPTIONS),
+ *   page: number,
+ *   pageSize: number
+ * }
+ */
+function validateSearchFilters(body = {}) {
+    const errors = [];
+    const filters = {
+        propertyType: null,
+        status: [...DEFAULT_LISTING_STATUSES],
+        location: null,
+        keyword: null,
+        bedrooms: null,
+        bathrooms: null,
+        bounds: null,
+        polygon: null,
+        radius: null,
+        reducedWithinDays: null,
+        minReductionPercent: null,
+        amenities: [],
+        excludeAmenities: [],
+        currency: BASE_CURRENCY,
+        sort: DEFAULT_SORT,
+        page: 1,
+        pageSize: DEFAULT_PAGE_SIZE
+    };
+
+    // Property types - one or more categories (or raw MLS labels)
+    if (body.propertyType !== undefined && body.propertyType !== null && typeof body.propertyType === 'object' && !Array.isArray(body.propertyType)) {
+        errors.push('propertyType must be a string or an array of strings');
+    } else {
+        filters.propertyType = parsePropertyTypeList(body.propertyType);
+        if (filters.propertyType && filters.propertyType.length > MAX_PROPERTY_TYPES) {
+            errors.push(`propertyType may list at most ${MAX_PROPERTY_TYPES} types`);
+        }
+    }
+
+    // Listing statuses - active and coming soon unless others are asked for
+    const { statuses, unknown: unknownStatuses } = parseListingStatusList(body.status);
+    if (unknownStatuses.length > 0) {
+        errors.push(`status contains unknown statuses: ${unknownStatuses.join(', ')}`);
+    }
+    if (statuses) filters.status = statuses;
+
+    // Locations - a single string or an array of strings/pinned locations
+    const location = body.location;
+    if (location !== undefined && location !== null && location !== '') {
+        const list = Array.isArray(location) ? location : [location];
+        const locations = [];
+        const seen = new Set();
+        for (const item of list) {
+            const parsed = parseLocationItem(item);
+            if (parsed.error) {
+                errors.push(parsed.error);
+                break;
+            }
+            const key = JSON.stringify(parsed.value);
+            if (parsed.value && !seen.has(key)) {
+                seen.add(key);
+                locations.push(parsed.value);
+            }
+        }
+        if (locations.length > MAX_LOCATIONS) {
+            errors.push(`location may list at most ${MAX_LOCATIONS} locations`);
+        } else if (locations.length > 0) {
+            filters.location = locations;
+        }
+    }
+    filters.blendLocations = body.blendLocations === true || body.blendLocations === 'true';
+
+    // Keyword
+    if (body.keyword !== undefined && body.keyword !== null && body.keyword !== '') {
+        if (typeof body.keyword !== 'string') {
+            errors.push('keyword must be a string');
+        } else if (body.keyword.trim() !== '') {
+            filters.keyword = body.keyword.trim();
+        }
+    }
+    if (filters.keyword && filters.keyword.length > MAX_KEYWORD_LENGTH) {
+        errors.push(`keyword must be ${MAX_KEYWORD_LENGTH} characters or fewer`);
+    }
+
+    // Min/max range filters
+    for (const range of RANGE_FILTERS) {
+        for (const key of [range.min, range.max]) {
+            const parsed = parseNonNegativeNumber(body[key], range.integer);
+            if (parsed === undefined) {
+                errors.push(`${key} must be a non-negative ${range.integer ? 'whole number' : 'number'}`);
+                filters[key] = null;
+            } else {
+                filters[key] = parsed;
+            }
+        }
+    }
+
+    // Price range - "min-max", either side may be empty ("400000-").
+    // Explicit minPrice/maxPrice take precedence over the matching side.
+    if (body.priceRange) {
+        const match = /^\s*(\d*)\s*-\s*(\d*)\s*$/.exec(String(body.priceRange));
+        if (!match) {
+            errors.push('priceRange must be in the format "min-max"');
+        } else {
+            if (filters.minPrice === null && match[1] !== '') filters.minPrice = Number(match[1]);
+            if (filters.maxPrice === null && match[2] !== '') filters.maxPrice = Number(match[2]);
+        }
+    }
+
+    for (const range of RANGE_FILTERS) {
+        const min = filters[range.min];
+        const max = filters[range.max];
+        if (min !== null && max !== null && min > max) {
+            errors.push(`${range.min} cannot be greater than ${range.max}`);
+        }
+    }
+
+    // Minimum bedroom/bathroom counts
+    for (const field of ['bedrooms', 'bathrooms']) {
+        const parsed = parseNonNegativeInt(body[field]);
+        if (parsed === undefined) {
+            errors.push(`${field} must be a whole number`);
+        } else {
+            filters[field] = parsed;
+        }
+    }
+
+    // Price history - reduced in the last N days, and/or by at least N% from
+    // the highest price the listing has had
+    const reducedWithinDays = parseNonNegativeInt(body.reducedWithinDays);
+    if (reducedWithinDays === undefined || reducedWithinDays === 0 || reducedWithinDays > MAX_REDUCED_WITHIN_DAYS) {
+        errors.push(`reducedWithinDays must be a whole number from 1 to ${MAX_REDUCED_WITHIN_DAYS}`);
+    } else {
+        filters.reducedWithinDays = reducedWithinDays;
+    }
+
+    const minReductionPercent = parseNonNegativeNumber(body.minReductionPercent);
+    if (minReductionPercent === undefined || minReductionPercent === 0 || minReductionPercent > MAX_REDUCTION_PERCENT) {
+        errors.push(`minReductionPercent must be a number greater than 0 and at most ${MAX_REDUCTION_PERCENT}`);
+    } else {
+        filters.minReductionPercent = minReductionPercent;
+    }
+
+    // Map viewport bounding box - all four edges or none
+    const boundsProvided = Object.keys(BOUNDS_FIELDS).filter(edge => body[edge] !== undefined && body[edge] !== null && body[edge] !== '');
+    if (boundsProvided.length > 0) {
+        if (boundsProvided.length < 4) {
+            errors.push('north, south, east and west must all be provided for a map area search');
+        } else {
+            const bounds = {};
+            for (const [edge, range] of Object.entries(BOUNDS_FIELDS)) {
+                const value = Number(body[edge]);
+                if (!Number.isFinite(value) || value < range.min || value > range.max) {
+                    errors.push(`${edge} must be a number between ${range.min} and ${range.max}`);
+                }
+                bounds[edge] = value;
+            }
+            if (bounds.south > bounds.north) {
+                errors.push('south cannot be greater than north');
+            }
+            filters.bounds = bounds;
+        }
+    }
+
+    // Hand-drawn polygon - list of [lat, lng] pairs or { lat, lng } objects
+    if (body.polygon !== undefined && body.polygon !== null && body.polygon !== '') {
+        const points = Array.isArray(body.polygon) ? body.polygon.map(parseCoordinate) : [];
+        if (points.length < 3 || points.length > MAX_POLYGON_POINTS) {
+            errors.push(`polygon must have between 3 and ${MAX_POLYGON_POINTS} points`);
+        } else if (points.some(point => point === null)) {
+            errors.push('polygon points must be valid [lat, lng] coordinates');
+        } else {
+            filters.polygon = points;
+        }
+    }
+
+    // Radius around a point - { lat, lng, km }
+    if (body.radius !== undefined && body.radius !== null && body.radius !== '') {
+        const center = parseCoordinate(body.radius);
+        const km = Number(body.radius.km);
+        if (!center) {
+            errors.push('radius must include a valid lat and lng');
+        } else if (!Number.isFinite(km) || km <= 0 || km > MAX_RADIUS_KM) {
+            errors.push(`radius km must be greater than 0 and at most ${MAX_RADIUS_KM}`);
+        } else {
+            filters.radius = { ...center, km };
+        }
+    }
+
+    // Feature toggles
+    for (const field of BOOLEAN_FILTERS) {
+        filters[field] = parseBooleanFlag(body[field]);
+    }
+
+    // Amenity tags - required and excluded lists from the controlled vocabulary
+    for (const field of ['amenities', 'excludeAmenities']) {
+        const { tags, unknown } = parseAmenityList(body[field]);
+        if (unknown.length > 0) {
+            errors.push(`${field} contains unknown amenities: ${unknown.join(', ')}`);
+        }
+        filters[field] = tags;
+    }
+    const conflicting = filters.amenities.filter(tag => filters.excludeAmenities.includes(tag));
+    if (conflicting.length > 0) {
+        errors.push(`amenities cannot be both required and excluded: ${conflicting.join(', ')}`);
+    }
+
+    // Currency of the price filters and of the returned prices
+    if (body.currency !== undefined && body.currency !== null && body.currency !== '') {
+        const currency = String(body.currency).toUpperCase();
+        if (!SUPPORTED_CURRENCIES.includes(currency)) {
+            errors.push(`currency must be one of: ${SUPPORTED_CURRENCIES.join(', ')}`);
+        } else {
+            filters.currency = currency;
+        }
+    }
+
+    // Sort order - only whitelisted keys ever reach the ORDER BY.
+    // Keyword searches default to relevance ranking.
+    if (body.sort !== undefined && body.sort !== null && body.sort !== '') {
+        if (!Object.prototype.hasOwnProperty.call(SORT_OPTIONS, body.sort)) {
+            errors.push(`sort must be one of: ${Object.keys(SORT_OPTIONS).join(', ')}`);
+        } else if (body.sort === 'relevance' && !filters.keyword) {
+            errors.push('sort "relevance" requires a keyword');
+        } else {
+            filters.sort = body.sort;
+        }
+    } else if (filters.keyword) {
+        filters.sort = 'relevance';
+    }
+
+    // Page number
+    const page = parseNonNegativeInt(body.page);
+    if (page === undefined || page === 0) {
+        errors.push('page must be a whole number of 1 or more');
+    } else if (page !== null) {
+        filters.page = page;
+    }
+
+    // Page size
+    const pageSize = parseNonNegativeInt(body.pageSize);
+    if (pageSize === undefined || pageSize === 0 || pageSize > MAX_PAGE_SIZE) {
+        errors.push(`pageSize must be a whole number between 1 and ${MAX_PAGE_SIZE}`);
+    } else if (pageSize !== null) {
+        filters.pageSize = pageSize;
+    }
+
+    return { filters, errors };
+}
+
+// =============================================================================
+// CLAUSE FUNCTIONS
+// =============================================================================
+/**
+ * Each clause function receives:
+ * - filters: The validated filter object
+ * - params: The createQueryParams() accumulator
+ * - context: Extra data resolved before the query (e.g. locationMatches)
+ *
+ * And returns a SQL condition string (without leading AND), or null when the
+ * filter isn't active.
+ */
+
+/**
+ * propertyTypeClause - Listings in any of the selected property types
+ * -----------------------------------------------------------------------------
+ * Categories expand to every MLS class/label they cover (see
+ * routes/propertyTypes.js); other values match propertytypelabel exactly.
+ */
+function propertyTypeClause(filters, params) {
+    if (!filters.propertyType || filters.propertyType.length === 0) return null;
+    return propertyTypeCondition(filters.propertyType, params);
+}
+
+/**
+ * keywordClause - Full-text match on remarks and features
+ */
+function keywordClause(filters, params) {
+    if (!filters.keyword) return null;
+    return `${FULL_TEXT_DOCUMENT} @@ ${fullTextQuery(params.add(filters.keyword))}`;
+}
+
+/**
+ * locationCondition - SQL condition for one resolved location
+ * -----------------------------------------------------------------------------
+ * Uses the areaCitySubdivisionMatch() result for the location:
+ * - Alias with several targets: OR of each target's condition
+ * - No match: LIKE on city, mlsareamajor and subdivisionname, with the
+ *   text matched literally (its %, _ and \ escaped)
+ * - Ambiguous match: IN (...) across all matched values
+ * - Clear match: equality on the most specific level matched
+ * - Pinned location (picked from a chooser): equality on every level given
+ *
+ * @param {string} location - The location text
+ * @param {Object|null} locationMatch - Its areaCitySubdivisionMatch() result
+ * @param {Object} params - createQueryParams() accumulator
+ * @returns {string|null} SQL condition
+ */
+function locationCondition(location, locationMatch, params) {
+    // No match found - fall back to LIKE search on all location fields
+    if (!locationMatch) {
+        const pattern = params.add(`%${escapeLike(location)}%`);
+        return `(city LIKE ${pattern} OR mlsareamajor LIKE ${pattern} OR subdivisionname LIKE ${pattern})`;
+    }
+
+    // Alias for several places - any of them
+    if (locationMatch.targets) {
+        const conditions = locationMatch.targets
+            .map(target => locationCondition(target.inputReceived, target, params))
+            .filter(Boolean);
+        return conditions.length > 0 ? `(${conditions.join(' OR ')})` : null;
+    }
+
+    // Multiple matches - search across all matched values
+    if (locationMatch.ambiguous && locationMatch.matches) {
+        const values = locationMatch.matches.map(m => (m && m.value) || m);
+        const placeholders = values.map(v => params.add(v)).join(', ');
+        switch (locationMatch.matchedField) {
+            case 'city':
+                return `city IN (${placeholders})`;
+            case 'mlsareamajor':
+                return `mlsareamajor IN (${placeholders})`;
+            default:
+                return `subdivisionname IN (${placeholders})`;
+        }
+    }
+
+    // Pinned location - the exact place and parents the user picked
+    if (locationMatch.pinned) {
+        const parts = [];
+        if (locationMatch.subdivision) parts.push(`subdivisionname = ${params.add(locationMatch.subdivision)}`);
+        if (locationMatch.mlsareamajor) parts.push(`mlsareamajor = ${params.add(locationMatch.mlsareamajor)}`);
+        if (locationMatch.city) parts.push(`city = ${params.add(locationMatch.city)}`);
+        return `(${parts.join(' AND ')})`;
+    }
+
+    // Clear match - use precise filter based on matched level
+    if (locationMatch.subdivision) return `subdivisionname = ${params.add(locationMatch.subdivision)}`;
+    if (locationMatch.mlsareamajor) return `mlsareamajor = ${params.add(locationMatch.mlsareamajor)}`;
+    if (locationMatch.city) return `city = ${params.add(locationMatch.city)}`;
+    return null;
+}
+
+/**
+ * escapeLike - Make text match itself in a LIKE pattern
+ */
+function escapeLike(text) {
+    return text.replace(/[\\%_]/g, '\\$&');
+}
+
+/**
+ * groupPatternCondition - SQL condition for a location group pattern member
+ * -----------------------------------------------------------------------------
+ * @param {Object} groupPattern - parseGroupPattern() result ({ pattern, columns })
+ * @param {Object} params - createQueryParams() accumulator
+ * @returns {string} SQL condition
+ */
+function groupPatternCondition(groupPattern, params) {
+    const pattern = params.add(groupPattern.pattern);
+    const conditions = groupPattern.columns.map(column => `${column} LIKE ${pattern}`);
+    return conditions.length === 1 ? conditions[0] : `(${conditions.join(' OR ')})`;
+}
+
+/**
+ * locationClause - Filter by one or more cities/areas/subdivisions
+ * -----------------------------------------------------------------------------
+ * index.js resolves filters.location into context.locationMatches, one entry
+ * per location searched ({ location, group, match }) with location groups
+ * already expanded into their members and pinned locations turned into
+ * pinnedLocationMatch() results. A listing matches when it is in ANY
+ * of them, so levels can be mixed ("Pedregal" + "SJD-East" + "La Paz").
+ * Group members written as patterns ("area:%La Paz%") are used as LIKE
+ * patterns; only entries with a group are read that way. Without
+ * context.locationMatches every location falls back to LIKE.
+ */
+function locationClause(filters, params, context = {}) {
+    if (!filters.location || filters.location.length === 0) return null;
+
+    const resolved = context.locationMatches
+        || filters.location.map(location => (typeof location === 'string'
+            ? { location, group: null, match: null }
+            : { location: location.value, group: null, match: pinnedLocationMatch(location) }));
+
+    const conditions = resolved
+        .map(entry => {
+            const groupPattern = entry.group ? parseGroupPattern(entry.location) : null;
+            return groupPattern
+                ? groupPatternCondition(groupPattern, params)
+                : locationCondition(entry.location, entry.match, params);
+        })
+        .filter(Boolean);
+    if (conditions.length === 0) return null;
+    return conditions.length === 1 ? conditions[0] : `(${conditions.join(' OR ')})`;
+}
+
+/**
+ * createRangeClause - Build a clause function for a min/max range filter
+ * -----------------------------------------------------------------------------
+ * Currency ranges are converted from filters.currency to USD using the rates
+ * in context.rates (DEFAULT_RATES when none were loaded).
+ *
+ * @param {Object} range - Entry from RANGE_FILTERS ({ min, max, expression })
+ * @returns {Function} Clause function constraining expression to [min, max]
+ */
+function createRangeClause(range) {
+    return function rangeClause(filters, params, context = {}) {
+        const conditions = [];
+        const toBase = (value) => range.currency
+            ? convertAmount(value, filters.currency || BASE_CURRENCY, BASE_CURRENCY, context.rates)
+            : value;
+        const min = toBase(filters[range.min]);
+        const max = toBase(filters[range.max]);
+        if (min !== null && min !== undefined) {
+            conditions.push(`${range.expression} >= ${params.add(min)}`);
+        }
+        if (max !== null && max !== undefined) {
+            conditions.push(`${range.expression} <= ${params.add(max)}`);
+        }
+        return conditions.length > 0 ? conditions.join(' AND ') : null;
+    };
+}
+
+/**
+ * Range clause functions, one per RANGE_FILTERS entry
+ */
+const rangeClauses = Object.fromEntries(RANGE_FILTERS.map(range => [range.name, createRangeClause(range)]));
+
+/**
+ * priceClause - Price band on the USD-normalized listing price
+ */
+const priceClause = rangeClauses.price;
+
+/**
+ * onMarketClause - Leave out listings the sync marked off-market
+ * -----------------------------------------------------------------------------
+ * off_market_at is set by routes/listingSync.js when a listing disappears
+ * from the Spark feed or is withdrawn. Always applied; when the search opts
+ * in to an off-market status (withdrawn), listings in that status are let
+ * through and statusClause() does the rest.
+ */
+function onMarketClause(filters = {}) {
+    const offMarket = (filters.status || []).filter(status => OFF_MARKET_LISTING_STATUSES.includes(status));
+    if (offMarket.length === 0) return 'off_market_at IS NULL';
+    return `(off_market_at IS NULL OR ${listingStatusCondition(offMarket)})`;
+}
+
+/**
+ * statusClause - Listings in any of the selected statuses
+ * -----------------------------------------------------------------------------
+ * Statuses are mapped to mlsstatus values in routes/listingStatus.js.
+ */
+function statusClause(filters) {
+    if (!filters.status || filters.status.length === 0) return null;
+    return listingStatusCondition(filters.status);
+}
+
+/**
+ * bedroomsClause - Minimum bedstotal
+ */
+function bedroomsClause(filters, params) {
+    if (!filters.bedrooms) return null;
+    return `bedstotal >= ${params.add(filters.bedrooms)}`;
+}
+
+/**
+ * bathroomsClause - Minimum bathsfull
+ */
+function bathroomsClause(filters, params) {
+    if (!filters.bathrooms) return null;
+    return `bathsfull >= ${params.add(filters.bathrooms)}`;
+}
+
+/**
+ * priceReductionClause - Listings whose price dropped recently and/or a lot
+ * -----------------------------------------------------------------------------
+ * reducedWithinDays: a listing_history row in the last N days with a lower
+ * price than the one before it. minReductionPercent: the current price is at
+ * least N% below the highest recorded price.
+ */
+function priceReductionClause(filters, params) {
+    const conditions = [];
+    if (filters.reducedWithinDays) {
+        conditions.push(`EXISTS (SELECT 1 FROM listing_history h WHERE h.listing_id = mls_properties.id::text AND h.price < h.previous_price AND h.changed_at >= NOW() - make_interval(days => ${params.add(filters.reducedWithinDays)}::int))`);
+    }
+    if (filters.minReductionPercent) {
+        conditions.push(`currentpricepublic <= ${PEAK_PRICE_EXPRESSION} * (1 - ${params.add(filters.minReductionPercent)}::numeric / 100)`);
+    }
+    return conditions.length > 0 ? conditions.join(' AND ') : null;
+}
+
+/**
+ * boundsClause - Listings inside the map viewport
+ * -----------------------------------------------------------------------------
+ * When west is greater than east the box crosses the antimeridian, so the
+ * longitude condition becomes "east of west OR west of east".
+ */
+function boundsClause(filters, params) {
+    const bounds = filters.bounds;
+    if (!bounds) return null;
+
+    const latitude = `latitude BETWEEN ${params.add(bounds.south)} AND ${params.add(bounds.north)}`;
+    const longitude = bounds.west <= bounds.east
+        ? `longitude BETWEEN ${params.add(bounds.west)} AND ${params.add(bounds.east)}`
+        : `(longitude >= ${params.add(bounds.west)} OR longitude <= ${params.add(bounds.east)})`;
+
+    return `${latitude} AND ${longitude}`;
+}
+
+/**
+ * polygonClause - Listings inside a hand-drawn polygon
+ * -----------------------------------------------------------------------------
+ * Uses PostgreSQL's built-in geometric types (no PostGIS needed). Points are
+ * (x, y) = (longitude, latitude). The polygon's bounding box is checked first
+ * so the containment test only runs on nearby rows.
+ */
+function polygonClause(filters, params) {
+    const polygon = filters.polygon;
+    if (!polygon) return null;
+
+    const lats = polygon.map(point => point.lat);
+    const lngs = polygon.map(point => point.lng);
+    const polygonText = `(${polygon.map(point => `(${point.lng},${point.lat})`).join(',')})`;
+
+    return [
+        `latitude BETWEEN ${params.add(Math.min(...lats))} AND ${params.add(Math.max(...lats))}`,
+        `longitude BETWEEN ${params.add(Math.min(...lngs))} AND ${params.add(Math.max(...lngs))}`,
+        `${params.add(polygonText)}::polygon @> point(longitude, latitude)`
+    ].join(' AND ');
+}
+
+/**
+ * radiusClause - Listings within N km of a point
+ * -----------------------------------------------------------------------------
+ * Great-circle (haversine) distance on latitude/longitude, with a bounding
+ * box prefilter derived from the radius.
+ */
+function radiusClause(filters, params) {
+    const radius = filters.radius;
+    if (!radius) return null;
+
+    const latDelta = radius.km / 111.32;
+    const lngDelta = radius.km / (111.32 * Math.max(Math.cos(radius.lat * Math.PI / 180), 0.01));
+
+    const lat = params.add(radius.lat);
+    const lng = params.add(radius.lng);
+    const distance = `${EARTH_RADIUS_KM} * 2 * ASIN(SQRT(POWER(SIN(RADIANS(latitude - ${lat}) / 2), 2) + COS(RADIANS(${lat})) * COS(RADIANS(latitude)) * POWER(SIN(RADIANS(longitude - ${lng}) / 2), 2)))`;
+
+    return [
+        `latitude BETWEEN ${params.add(radius.lat - latDelta)} AND ${params.add(radius.lat + latDelta)}`,
+        `longitude BETWEEN ${params.add(radius.lng - lngDelta)} AND ${params.add(radius.lng + lngDelta)}`,
+        `${distance} <= ${params.add(radius.km)}`
+    ].join(' AND ');
+}
+
+/**
+ * featureClause - Boolean feature toggles (CFE, pool, listing changes, media)
+ * -----------------------------------------------------------------------------
+ * These conditions use fixed SQL and need no parameters.
+ */
+function featureClause(filters) {
+    const conditions = BOOLEAN_FILTERS
+        .filter(field => filters[field])
+        .map(field => FEATURE_CONDITIONS[field]);
+    return conditions.length > 0 ? conditions.join(' AND ') : null;
+}
+
+/**
+ * amenityClause - Required and excluded amenity tags
+ * -----------------------------------------------------------------------------
+ * Tags were checked against the vocabulary in validateSearchFilters, and
+ * their conditions are fixed SQL, so no parameters are needed.
+ */
+function amenityClause(filters) {
+    const required = (filters.amenities || []).map(tag => AMENITY_CONDITIONS[tag]);
+    const excluded = (filters.excludeAmenities || []).map(tag => `NOT ${AMENITY_CONDITIONS[tag]}`);
+    const conditions = [...required, ...excluded];
+    return conditions.length > 0 ? conditions.join(' AND ') : null;
+}
+
+/**
+ * All clause functions applied to a search, in order
+ */
+const SEARCH_CLAUSES = [
+    onMarketClause,
+    statusClause,
+    propertyTypeClause,
+    locationClause,
+    keywordClause,
+    boundsClause,
+    polygonClause,
+    radiusClause,
+    priceClause,
+    rangeClauses.area,
+    rangeClauses.lotSize,
+    rangeClauses.yearBuilt,
+    rangeClauses.rooms,
+    rangeClauses.pricePerM2,
+    bedroomsClause,
+    bathroomsClause,
+    priceReductionClause,
+    featureClause,
+    amenityClause
+];
+
+// =============================================================================
+// QUERY ASSEMBLY
+// =============================================================================
+
+/**
+ * buildWhereClause - Run every clause function and join the results
+ * -----------------------------------------------------------------------------
+ * @param {Object} filters - Validated filter object
+ * @param {Object} params - createQueryParams() accumulator
+ * @param {Object} context - Extra resolved data (locationMatches)
+ * @returns {string} SQL condition ("1=1" when no filters are active)
+ */
+function buildWhereClause(filters, params, context = {}) {
+    const conditions = SEARCH_CLAUSES
+        .map(clause => clause(filters, params, context))
+        .filter(Boolean);
+    return conditions.length > 0 ? conditions.join(' AND ') : '1=1';
+}
+
+/**
+ * buildOrderBy - ORDER BY expression for the requested sort
+ * -----------------------------------------------------------------------------
+ * Always ends with id ASC so listings with equal sort values keep a stable
+ * order, which keeps pages from overlapping or skipping listings.
+ *
+ * @param {string} sort - Key of SORT_OPTIONS (falls back to DEFAULT_SORT)
+ * @returns {string} ORDER BY expression (without the ORDER BY keyword)
+ */
+function buildOrderBy(sort) {
+    const expression = SORT_OPTIONS[sort] || SORT_OPTIONS[DEFAULT_SORT];
+    return `${expression}, id ASC`;
+}
+
+/**
+ * buildSearchQuery - Build the full parameterized search statement
+ * -----------------------------------------------------------------------------
+ * Selects the matching rows in a subquery and applies the requested sort to
+ * it; LIMIT/OFFSET select the requested page. mls_properties has one row per
+ * id (unique index, upserted by routes/listingSync.js), so no deduplication
+ * is needed.
+ *
+ * Every row gets an amenityTags array (see routes/amenities.js), a
+ * propertyCategory (see routes/propertyTypes.js), a listingStatus (see
+ * routes/listingStatus.js), its latest price reduction
+ * (previousPrice, priceReducedAt) and daysOnMarket, computed in the outer
+ * query so they only run for the returned page.
+ *
+ * Keyword searches add two columns to each row:
+ * - searchRank: ts_rank_cd relevance score (used by the "relevance" sort)
+ * - searchSnippet: Matching text with SNIPPET_MARKERS around matched words
+ *
+ * @param {Object} filters - Validated filter object
+ * @param {Object} context - Extra resolved data (locationMatches)
+ * @returns {Object} { text, values } ready for client.query()
+ */
+function buildSearchQuery(filters, context = {}) {
+    const params = createQueryParams();
+    const where = buildWhereClause(filters, params, context);
+
+    // Rank and snippet columns for keyword searches. The snippet is computed
+    // in the outer query so ts_headline only runs for the returned page.
+    let rankColumn = '';
+    let snippetColumn = '';
+    if (filters.keyword) {
+        const tsQuery = fullTextQuery(params.add(filters.keyword));
+        rankColumn = `, ts_rank_cd(${FULL_TEXT_DOCUMENT}, ${tsQuery}) AS "searchRank"`;
+        snippetColumn = `, ts_headline('english', ${FULL_TEXT_REMARKS} || ' ' || ${FULL_TEXT_FEATURES}, ${tsQuery}, 'StartSel="${SNIPPET_MARKERS.start}", StopSel="${SNIPPET_MARKERS.stop}", MaxFragments=2, MaxWords=25, MinWords=10') AS "searchSnippet"`;
+    }
+
+    const matched = `SELECT ${FIELD_LIST}${rankColumn} FROM mls_properties WHERE ${where}`;
+
+    const pageSize = filters.pageSize || DEFAULT_PAGE_SIZE;
+    const offset = ((filters.page || 1) - 1) * pageSize;
+
+    const text = `SELECT matched.*, ${DERIVED_COLUMNS}${snippetColumn} FROM (${matched}) AS matched ${LAST_REDUCTION_JOIN} ORDER BY ${buildOrderBy(filters.sort)} LIMIT ${params.add(pageSize)} OFFSET ${params.add(offset)}`;
+
+    return { text, values: params.values };
+}
+
+/**
+ * Listing ids as Spark issues them (e.g. "20231107183505432156000000").
+ * Anything else can't be in mls_properties, and is rejected before it reaches
+ * the database (where it would fail the id cast).
+ */
+const LISTING_ID_PATTERN = /^\d{1,40}$/;
+
+/**
+ * isListingId - Whether a route parameter can be a listing id
+ * @param {*} id - Raw id
+ * @returns {boolean}
+ */
+function isListingId(id) {
+    return typeof id === 'string' && LISTING_ID_PATTERN.test(id);
+}
+
+/**
+ * buildListingQuery - Select one on-market listing by id
+ * -----------------------------------------------------------------------------
+ * Returns every stored column of the listing (not just FIELD_LIST) plus the
+ * same computed columns as a search result, so a detail view can be loaded
+ * on its own. No rows when the id is unknown or the listing is off-market.
+ *
+ * @param {string} id - mls_properties.id, checked with isListingId() first
+ * @returns {Object} { text, values } ready for client.query()
+ */
+function buildListingQuery(id) {
+    const params = createQueryParams();
+
+    const matched = `SELECT * FROM mls_properties WHERE id = ${params.add(String(id))} AND ${onMarketClause()}`;
+    const text = `SELECT matched.*, ${DERIVED_COLUMNS} FROM (${matched}) AS matched ${LAST_REDUCTION_JOIN}`;
+
+    return { text, values: params.values };
+}
+
+/**
+ * buildCountQuery - Count every listing matching the same filters
+ * -----------------------------------------------------------------------------
+ * Runs the same clause functions as buildSearchQuery, so the total always
+ * describes the exact result set being paged through.
+ *
+ * @param {Object} filters - Validated filter object
+ * @param {Object} context - Extra resolved data (locationMatches)
+ * @returns {Object} { text, values } - returns a single row with "total"
+ */
+function buildCountQuery(filters, context = {}) {
+    const params = createQueryParams();
+    const where = buildWhereClause(filters, params, context);
+
+    const text = `SELECT COUNT(*)::int AS total FROM mls_properties WHERE ${where}`;
+
+    return { text, values: params.values };
+}
+
+/**
+ * buildPagination - Describe where a page sits in the full result set
+ * -----------------------------------------------------------------------------
+ * @param {Object} filters - Validated filter object (page, pageSize)
+ * @param {number} total - Total matching listings from buildCountQuery
+ * @returns {Object} { total, page, pageSize, pageCount, hasMore }
+ */
+function buildPagination(filters, total) {
+    const page = filters.page || 1;
+    const pageSize = filters.pageSize || DEFAULT_PAGE_SIZE;
+    const pageCount = Math.ceil(total / pageSize);
+    return {
+        total,
+        page,
+        pageSize,
+        pageCount,
+        hasMore: page < pageCount
+    };
+}
+
+// =============================================================================
+// MODULE EXPORTS
+// =============================================================================
+module.exports = {
+    FIELD_LIST,
+    FILTER_COLUMNS,
+    PRICE_USD_EXPRESSION,
+    SORT_OPTIONS,
+    RANGE_FILTERS,
+    FEATURE_CONDITIONS,
+    FULL_TEXT_DOCUMENT,
+    SNIPPET_MARKERS,
+    createQueryParams,
+    validateSearchFilters,
+    propertyTypeClause,
+    locationCondition,
+    locationClause,
+    keywordClause,
+    createRangeClause,
+    rangeClauses,
+    priceClause,
+    bedroomsClause,
+    bathroomsClause,
+    priceReductionClause,
+    boundsClause,
+    polygonClause,
+    radiusClause,
+    featureClause,
+    amenityClause,
+    onMarketClause,
+    statusClause,
+    SEARCH_CLAUSES,
+    buildWhereClause,
+    buildOrderBy,
+    buildSearchQuery,
+    LISTING_ID_PATTERN,
+    isListingId,
+    buildListingQuery,
+    buildCountQuery,
+    buildPagination
+};
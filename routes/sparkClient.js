@@ -0,0 +1,302 @@
+/**
+ * =============================================================================
+ * SPARK API CLIENT MODULE (routes/sparkClient.js)
+ * =============================================================================
+ *
+ * The one place that talks to the Spark MLS API (sparkplatform.com). Every
+ * request gets:
+ * - The bearer token from SPARK_API_TOKEN (never hardcoded)
+ * - A timeout (SPARK_TIMEOUT_MS)
+ * - Retries with exponential backoff and jitter on 429, 5xx, timeouts and
+ *   network errors; a Retry-After header is honored
+ * - A circuit breaker: after SPARK_BREAKER_THRESHOLD failed requests in a
+ *   row, calls fail fast with SparkCircuitOpenError for
+ *   SPARK_BREAKER_COOLDOWN_MS, then one trial request is let through
+ *
+ * ERRORS:
+ * Failures throw a SparkError subclass instead of returning [], so callers
+ * can tell "this listing has no photos" from "Spark is down" and must not
+ * cache a failure as an empty result.
+ *
+ * CONFIGURATION (env):
+ * - SPARK_API_TOKEN: Bearer token (required)
+ * - SPARK_API_BASE_URL: Default https://replication.sparkapi.com/v1; point it
+ *   at a local mock server in tests
+ * - SPARK_TIMEOUT_MS, SPARK_MAX_RETRIES, SPARK_BREAKER_THRESHOLD,
+ *   SPARK_BREAKER_COOLDOWN_MS
+ *
+ * CONNECTION TO index.js:
+ * - routes/db.js fetches photos, virtual tours and open houses through the
+ *   default client (sparkClient)
+ * - routes/listingSync.js pages through /listings with getPage()
+ * =============================================================================
+ */
+
+const axios = require('axios');  // HTTP client for external API calls
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+const DEFAULT_SPARK_CONFIG = {
+    token: process.env.SPARK_API_TOKEN || null,
+    baseUrl: process.env.SPARK_API_BASE_URL || 'https://replication.sparkapi.com/v1',
+    timeoutMs: Number(process.env.SPARK_TIMEOUT_MS) || 10000,
+    maxRetries: process.env.SPARK_MAX_RETRIES !== undefined ? Number(process.env.SPARK_MAX_RETRIES) : 3,
+    backoffMs: 500,            // First retry delay, doubled on every retry
+    maxBackoffMs: 10000,
+    breakerThreshold: Number(process.env.SPARK_BREAKER_THRESHOLD) || 5,
+    breakerCooldownMs: Number(process.env.SPARK_BREAKER_COOLDOWN_MS) || 30000
+};
+
+// =============================================================================
+// ERRORS
+// =============================================================================
+
+/**
+ * SparkError - Base class for every Spark failure
+ * -----------------------------------------------------------------------------
+ * status: HTTP status (null when there was no response)
+ * retryable: Whether the request was worth retrying
+ * path: API path requested, e.g. "/listings/123/photos"
+ */
+class SparkError extends Error {
+    constructor(message, { status = null, retryable = false, path = null, cause } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.retryable = retryable;
+        this.path = path;
+        if (cause) this.cause = cause;
+    }
+}
+
+/** No token configured */
+class SparkConfigError extends SparkError {}
+
+/** No response within timeoutMs */
+class SparkTimeoutError extends SparkError {}
+
+/** Connection refused, DNS failure, reset... */
+class SparkNetworkError extends SparkError {}
+
+/** 429 Too Many Requests */
+class SparkRateLimitError extends SparkError {}
+
+/** 401/403 - bad or expired token */
+class SparkAuthError extends SparkError {}
+
+/** 404 - unknown listing or path */
+class SparkNotFoundError extends SparkError {}
+
+/** Any other 4xx */
+class SparkRequestError extends SparkError {}
+
+/** 5xx */
+class SparkServerError extends SparkError {}
+
+/** Breaker is open; the request was not sent */
+class SparkCircuitOpenError extends SparkError {}
+
+/**
+ * isSparkOutage - Whether an error means Spark itself is unavailable
+ * -----------------------------------------------------------------------------
+ * True for the failures that count towards the circuit breaker (timeouts,
+ * network errors, 5xx, 429 and auth errors) and for calls the open breaker
+ * refused; false for answers about one listing (404, 400).
+ *
+ * @param {Error} error - Error thrown by a Spark call
+ * @returns {boolean}
+ */
+function isSparkOutage(error) {
+    return error instanceof SparkCircuitOpenError
+        || error instanceof SparkAuthError
+        || (error instanceof SparkError && error.retryable);
+}
+
+/**
+ * toSparkError - Typed error for a failed axios request
+ */
+function toSparkError(error, path) {
+    if (error instanceof SparkError) return error;
+
+    const status = error.response ? error.response.status : null;
+    const detail = error.response && error.response.data && error.response.data.D
+        ? error.response.data.D.Message
+        : error.message;
+    const message = `Spark ${path} failed${status ? ` (${status})` : ''}: ${detail}`;
+
+    if (!error.response) {
+        if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+            return new SparkTimeoutError(message, { retryable: true, path, cause: error });
+        }
+        return new SparkNetworkError(message, { retryable: true, path, cause: error });
+    }
+    if (status === 429) return new SparkRateLimitError(message, { status, retryable: true, path, cause: error });
+    if (status >= 500) return new SparkServerError(message, { status, retryable: true, path, cause: error });
+    if (status === 401 || status === 403) return new SparkAuthError(message, { status, path, cause: error });
+    if (status === 404) return new SparkNotFoundError(message, { status, path, cause: error });
+    return new SparkRequestError(message, { status, path, cause: error });
+}
+
+// =============================================================================
+// CLIENT
+// =============================================================================
+
+/**
+ * retryDelay - How long to wait before retry number `attempt` (1-based)
+ * -----------------------------------------------------------------------------
+ * Uses Retry-After (seconds) when Spark sends it, otherwise exponential
+ * backoff with full jitter.
+ */
+function retryDelay(error, attempt, config) {
+    const retryAfter = error.cause && error.cause.response && error.cause.response.headers
+        ? Number(error.cause.response.headers['retry-after'])
+        : NaN;
+    if (retryAfter > 0) return Math.min(retryAfter * 1000, config.maxBackoffMs);
+
+    const ceiling = Math.min(config.backoffMs * 2 ** (attempt - 1), config.maxBackoffMs);
+    return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * createSparkClient - Spark client with its own config and circuit breaker
+ * -----------------------------------------------------------------------------
+ * @param {Object} options - Overrides for DEFAULT_SPARK_CONFIG
+ *                           (token, baseUrl, timeoutMs, maxRetries, ...)
+ * @param {Object} http - axios-compatible instance (swappable in tests)
+ * @returns {Object} {
+ *   get(path, params) -> Promise<Array>   // D.Results of the response
+ *   getPage(path, params) -> Promise<{ results, pagination }>
+ *   getListingPhotos(id), getVirtualTours(id), getOpenHouses(id),
+ *   breakerState() -> { state: "closed" | "open" | "halfOpen", failures }
+ * }
+ */
+function createSparkClient(options = {}, http = axios) {
+    const config = { ...DEFAULT_SPARK_CONFIG, ...options };
+    const breaker = { failures: 0, openedAt: 0, trialInFlight: false };
+
+    const breakerState = () => {
+        if (breaker.failures < config.breakerThreshold) return 'closed';
+        return Date.now() - breaker.openedAt >= config.breakerCooldownMs ? 'halfOpen' : 'open';
+    };
+
+    const recordSuccess = () => {
+        breaker.failures = 0;
+        breaker.trialInFlight = false;
+    };
+
+    const recordFailure = () => {
+        breaker.failures++;
+        breaker.trialInFlight = false;
+        // Once open, only half-open trials can fail, and each one re-opens it
+        if (breaker.failures >= config.breakerThreshold) {
+            breaker.openedAt = Date.now();
+            console.error(`-------⚠️ Spark circuit breaker open for ${config.breakerCooldownMs}ms after ${breaker.failures} failures`);
+        }
+    };
+
+    /**
+     * request - GET a Spark path, with retries and the breaker
+     * @param {string} path - e.g. "/listings/123/photos"
+     * @param {Object} params - Query string parameters
+     * @returns {Promise<Object>} The response's D object
+     */
+    async function request(path, params = {}) {
+        if (!config.token) {
+            throw new SparkConfigError('SPARK_API_TOKEN is not configured', { path });
+        }
+
+        const state = breakerState();
+        if (state === 'open' || (state === 'halfOpen' && breaker.trialInFlight)) {
+            throw new SparkCircuitOpenError(`Spark circuit breaker is open, ${path} not requested`, { path });
+        }
+        if (state === 'halfOpen') breaker.trialInFlight = true;
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                const response = await http.get(`${config.baseUrl}${path}`, {
+                    params,
+                    timeout: config.timeoutMs,
+                    headers: {
+                        'Authorization': `Bearer ${config.token}`,
+                        'Accept': 'application/json'
+                    }
+                });
+                recordSuccess();
+                return (response.data && response.data.D) || {};
+            } catch (err) {
+                const error = toSparkError(err, path);
+                // Only a half-open trial stops retrying early; a failed trial re-opens the breaker
+                if (!error.retryable || attempt >= config.maxRetries || state === 'halfOpen') {
+                    if (isSparkOutage(error)) recordFailure();
+                    else recordSuccess();  // Spark answered; a 404 isn't an outage
+                    throw error;
+                }
+                const delay = retryDelay(error, attempt + 1, config);
+                console.error(`-------⚠️ ${error.message} - retry ${attempt + 1}/${config.maxRetries} in ${delay}ms`);
+                await sleep(delay);
+            }
+        }
+    }
+
+    /**
+     * get - D.Results of a Spark path (always an array)
+     */
+    async function get(path, params = {}) {
+        const data = await request(path, params);
+        return Array.isArray(data.Results) ? data.Results : [];
+    }
+
+    /**
+     * getPage - One page of a paginated collection such as /listings
+     * @param {string} path - e.g. "/listings"
+     * @param {Object} params - Filters plus _page/_limit
+     * @returns {Promise<Object>} { results, pagination: { TotalRows, PageSize,
+     *          TotalPages, CurrentPage } }
+     */
+    async function getPage(path, params = {}) {
+        const data = await request(path, { ...params, _pagination: 1 });
+        return {
+            results: Array.isArray(data.Results) ? data.Results : [],
+            pagination: data.Pagination || null
+        };
+    }
+
+    return {
+        config,
+        get,
+        getPage,
+        getListingPhotos: (id) => get(`/listings/${encodeURIComponent(id)}/photos`),
+        getVirtualTours: (id) => get(`/listings/${encodeURIComponent(id)}/virtualtours`),
+        getOpenHouses: (id) => get(`/listings/${encodeURIComponent(id)}/openhouses/all`),
+        breakerState: () => ({ state: breakerState(), failures: breaker.failures })
+    };
+}
+
+/**
+ * Default client, configured from the environment
+ */
+const sparkClient = createSparkClient();
+
+// =============================================================================
+// MODULE EXPORTS
+// =============================================================================
+module.exports = {
+    DEFAULT_SPARK_CONFIG,
+    SparkError,
+    SparkConfigError,
+    SparkTimeoutError,
+    SparkNetworkError,
+    SparkRateLimitError,
+    SparkAuthError,
+    SparkNotFoundError,
+    SparkRequestError,
+    SparkServerError,
+    SparkCircuitOpenError,
+    isSparkOutage,
+    createSparkClient,
+    sparkClient
+};
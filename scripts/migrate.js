@@ -0,0 +1,47 @@
+/**
+ * =============================================================================
+ * MIGRATION COMMAND (scripts/migrate.js)
+ * =============================================================================
+ *
+ * Applies the one-off database migrations in routes/migrations.js that have
+ * not run yet (deduplicating listings, building large indexes, backfills).
+ *
+ * USAGE:
+ *   npm run migrate
+ *
+ * Run it once after deploying a release that adds a migration; it is safe to
+ * run again (applied migrations are skipped) and while the server is up.
+ * Uses the same database settings as index.js (MODE, DATABASE_URL /
+ * LOCAL_DATABASE_URL). Exits with code 1 on failure.
+ * =============================================================================
+ */
+
+require('dotenv').config();
+const { Client } = require('pg');
+const { ensureSchema } = require('../routes/schema');
+const { runMigrations } = require('../routes/migrations');
+
+const isLocalMode = process.env.MODE === 'LOCAL';
+
+async function main() {
+    const client = new Client({
+        connectionString: isLocalMode ? process.env.LOCAL_DATABASE_URL : process.env.DATABASE_URL,
+        ...(!isLocalMode && { ssl: { rejectUnauthorized: false } })
+    });
+    await client.connect();
+
+    try {
+        await ensureSchema(client);
+        const applied = await runMigrations(client);
+        console.log(applied.length > 0
+            ? `-------✅ Applied ${applied.length} migration(s): ${applied.join(', ')}`
+            : '-------✅ No pending migrations');
+    } finally {
+        await client.end();
+    }
+}
+
+main().catch((err) => {
+    console.error('-------❌ Migration failed:', err.message);
+    process.exit(1);
+});
@@ -0,0 +1,83 @@
+/**
+ * =============================================================================
+ * LISTING SYNC COMMAND (scripts/syncListings.js)
+ * =============================================================================
+ *
+ * Pulls listings from the Spark replication API into mls_properties (see
+ * routes/listingSync.js).
+ *
+ * USAGE:
+ *   npm run sync-listings -- [--full] [--page-size=500] [--max-pages=10]
+ *
+ * - --full: Read every listing and mark the ones Spark no longer returns as
+ *   off-market (default: incremental since the last finished run)
+ * - --page-size: Listings per Spark request (default LISTING_SYNC_PAGE_SIZE or 500)
+ * - --max-pages: Stop after this many pages (for trying the sync out)
+ *
+ * Uses the same database settings as index.js (MODE, DATABASE_URL /
+ * LOCAL_DATABASE_URL) and SPARK_API_TOKEN, and needs `npm run migrate` to
+ * have been applied. Run it on a schedule (e.g. cron
+ * every 15 minutes, with --full nightly). Exits with code 1 on failure.
+ * =============================================================================
+ */
+
+require('dotenv').config();
+const { Client } = require('pg');
+const { ensureSchema } = require('../routes/schema');
+const { pendingMigrations } = require('../routes/migrations');
+const { DEFAULT_SYNC_OPTIONS, runListingSync } = require('../routes/listingSync');
+
+const isLocalMode = process.env.MODE === 'LOCAL';
+
+/**
+ * parseArgs - Sync options from --name=value flags
+ */
+function parseArgs(argv) {
+    const options = {};
+    const numbers = { 'page-size': 'pageSize', 'max-pages': 'maxPages' };
+
+    for (const arg of argv) {
+        const [flag, value] = arg.replace(/^--/, '').split('=');
+        if (flag === 'full') {
+            options.full = true;
+        } else if (numbers[flag]) {
+            const number = Number(value);
+            if (!(number > 0)) throw new Error(`--${flag} must be a positive number`);
+            options[numbers[flag]] = Math.floor(number);
+        } else {
+            throw new Error(`Unknown option ${arg}`);
+        }
+    }
+    return options;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    const client = new Client({
+        connectionString: isLocalMode ? process.env.LOCAL_DATABASE_URL : process.env.DATABASE_URL,
+        ...(!isLocalMode && { ssl: { rejectUnauthorized: false } })
+    });
+    await client.connect();
+
+    try {
+        await ensureSchema(client);
+
+        // Upserts need the unique id index built by the migrations
+        const pending = await pendingMigrations(client);
+        if (pending.length > 0) {
+            throw new Error(`Run npm run migrate first (pending: ${pending.map(migration => migration.id).join(', ')})`);
+        }
+
+        const result = await runListingSync(client, { ...DEFAULT_SYNC_OPTIONS, ...options });
+        console.log(`-------✅ Listing sync ${result.mode} run #${result.runId} ${result.status}: ${result.fetched} fetched, ` +
+            `${result.upserted} upserted, ${result.markedOffMarket} marked off-market, ${result.errors} errors`);
+    } finally {
+        await client.end();
+    }
+}
+
+main().catch((err) => {
+    console.error('-------❌ Listing sync failed:', err.message);
+    process.exit(1);
+});
@@ -0,0 +1,86 @@
+/**
+ * =============================================================================
+ * CACHE WARMER COMMAND (scripts/warmDetailsCache.js)
+ * =============================================================================
+ *
+ * Pre-populates photos, virtual tours and open houses in
+ * mls_properties_details (see routes/detailsWarmer.js).
+ *
+ * USAGE:
+ *   npm run warm-cache -- [--batch-size=50] [--concurrency=6] [--rate=2]
+ *                         [--limit=1000] [--restart]
+ *
+ * - --batch-size: Listings per batch (progress is saved after each one)
+ * - --concurrency: Most Spark requests at once (default SPARK_CONCURRENCY)
+ * - --rate: Most Spark requests started per second (default WARMER_RATE_PER_SECOND or 2)
+ * - --limit: Stop after this many listings; the next run resumes
+ * - --restart: Ignore the unfinished run and start from the first listing
+ *
+ * Uses the same database settings as index.js (MODE, DATABASE_URL /
+ * LOCAL_DATABASE_URL) and SPARK_API_TOKEN. Ctrl+C stops after the current
+ * batch; run the command again to resume. Exits with code 1 on failure.
+ * =============================================================================
+ */
+
+require('dotenv').config();
+const { Client } = require('pg');
+const { ensureSchema } = require('../routes/schema');
+const { DEFAULT_WARMER_OPTIONS, runDetailsWarmer } = require('../routes/detailsWarmer');
+
+const isLocalMode = process.env.MODE === 'LOCAL';
+
+/**
+ * parseArgs - Warmer options from --name=value flags
+ */
+function parseArgs(argv) {
+    const options = {};
+    const numbers = { 'batch-size': 'batchSize', concurrency: 'concurrency', rate: 'ratePerSecond', limit: 'maxListings' };
+
+    for (const arg of argv) {
+        const [flag, value] = arg.replace(/^--/, '').split('=');
+        if (flag === 'restart') {
+            options.restart = true;
+        } else if (numbers[flag]) {
+            const number = Number(value);
+            if (!(number > 0)) throw new Error(`--${flag} must be a positive number`);
+            options[numbers[flag]] = flag === 'rate' ? number : Math.floor(number);
+        } else {
+            throw new Error(`Unknown option ${arg}`);
+        }
+    }
+    return options;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    let stopRequested = false;
+    process.on('SIGINT', () => {
+        if (stopRequested) process.exit(130);
+        stopRequested = true;
+        console.log('-------⚠️ Stopping after the current batch (Ctrl+C again to quit now)');
+    });
+
+    const client = new Client({
+        connectionString: isLocalMode ? process.env.LOCAL_DATABASE_URL : process.env.DATABASE_URL,
+        ...(!isLocalMode && { ssl: { rejectUnauthorized: false } })
+    });
+    await client.connect();
+
+    try {
+        await ensureSchema(client);
+        const result = await runDetailsWarmer(client, {
+            ...DEFAULT_WARMER_OPTIONS,
+            ...options,
+            shouldStop: () => stopRequested
+        });
+        console.log(`-------✅ Cache warmer ${result.status}: ${result.processed}/${result.total} listings, ${result.fetched} fields fetched, ${result.failed} failed`);
+    } finally {
+        await client.end();
+    }
+}
+
+main().catch((err) => {
+    console.error('-------❌ Cache warmer failed:', err.message);
+    process.exit(1);
+});
@@ -0,0 +1,50 @@
+/**
+ * Amenity tag conditions (routes/amenities.js), run against a real PostgreSQL
+ * (PGlite) because the patterns use PostgreSQL regular expressions.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { PGlite } = require('@electric-sql/pglite');
+const { AMENITY_CONDITIONS } = require('../routes/amenities');
+
+const db = new PGlite();
+
+/**
+ * hasTag - Whether a listing with these column values gets the tag
+ */
+async function hasTag(tag, columns) {
+    const names = Object.keys(columns);
+    const select = names.map((name, index) => `$${index + 1}::text AS ${name}`).join(', ');
+    const result = await db.query(
+        `SELECT ${AMENITY_CONDITIONS[tag]} AS matched FROM (SELECT ${select}) AS listing`,
+        Object.values(columns)
+    );
+    return result.rows[0].matched;
+}
+
+test('petsAllowed matches listings that allow pets', async () => {
+    for (const petsallowed of ['Yes', 'Allowed', 'Cats and dogs', 'Negotiable', '{"Yes": true}']) {
+        assert.strictEqual(await hasTag('petsAllowed', { petsallowed }), true, petsallowed);
+    }
+});
+
+test('petsAllowed rejects negations anywhere in the value', async () => {
+    for (const petsallowed of ['Not Allowed', 'Pets: No', 'No pets allowed', 'Pets not allowed', '{"Not Allowed": true}', 'No']) {
+        assert.strictEqual(await hasTag('petsAllowed', { petsallowed }), false, petsallowed);
+    }
+});
+
+test('features set to false do not count', async () => {
+    assert.strictEqual(await hasTag('petsAllowed', { petsallowed: '{"Yes": false}' }), false);
+    assert.strictEqual(await hasTag('oceanView', {
+        exteriorfeatures: '{"Ocean View": false, "Garden": true}',
+        interiorfeatures: null,
+        patioandporchfeatures: null
+    }), false);
+    assert.strictEqual(await hasTag('oceanView', {
+        exteriorfeatures: '{"Ocean View": true}',
+        interiorfeatures: null,
+        patioandporchfeatures: null
+    }), true);
+});
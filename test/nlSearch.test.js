@@ -0,0 +1,47 @@
+/**
+ * Natural-language search parser (routes/nlSearch.js): amenity phrases and
+ * their negations.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseSearchText } = require('../routes/nlSearch');
+
+/**
+ * parse - Parse without a location matcher (no place names resolved)
+ */
+function parse(text) {
+    return parseSearchText(text, async () => null);
+}
+
+test('pet phrases require the petsAllowed tag', async () => {
+    for (const text of ['house pets ok', 'pet friendly condo', 'casa se aceptan mascotas']) {
+        const { filters } = await parse(text);
+        assert.deepStrictEqual(filters.amenities, ['petsAllowed'], text);
+        assert.strictEqual(filters.excludeAmenities, undefined, text);
+    }
+});
+
+test('a negated pet phrase excludes petsAllowed', async () => {
+    for (const text of ['house no pets allowed', 'condo without pet friendly', 'no se aceptan mascotas']) {
+        const { filters, understood } = await parse(text);
+        assert.deepStrictEqual(filters.excludeAmenities, ['petsAllowed'], text);
+        assert.strictEqual(filters.amenities, undefined, text);
+        assert.ok(understood.some(item => item.label === 'No pets allowed'), text);
+    }
+});
+
+test('bare "mascotas" is never read as a tag', async () => {
+    for (const text of ['casa sin mascotas', 'no mascotas']) {
+        const { filters, unparsed } = await parse(text);
+        assert.strictEqual(filters.amenities, undefined, text);
+        assert.strictEqual(filters.excludeAmenities, undefined, text);
+        assert.ok(unparsed.some(part => /mascotas/.test(part)), text);
+    }
+});
+
+test('negation applies only to the amenity it precedes', async () => {
+    const { filters } = await parse('casa sin garage, vista al mar');
+    assert.deepStrictEqual(filters.excludeAmenities, ['garage']);
+    assert.deepStrictEqual(filters.amenities, ['oceanView']);
+});
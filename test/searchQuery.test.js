@@ -0,0 +1,232 @@
+/**
+ * Search filter validation and SQL building (routes/searchQuery.js): what
+ * each clause function returns, and the combined search/count queries run
+ * against a real PostgreSQL (PGlite).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { PGlite } = require('@electric-sql/pglite');
+const { ensureSchema } = require('../routes/schema');
+const {
+    FIELD_LIST,
+    FILTER_COLUMNS,
+    createQueryParams,
+    validateSearchFilters,
+    locationClause,
+    rangeClauses,
+    bedroomsClause,
+    bathroomsClause,
+    boundsClause,
+    featureClause,
+    amenityClause,
+    onMarketClause,
+    SNIPPET_MARKERS,
+    buildWhereClause,
+    buildSearchQuery,
+    buildCountQuery
+} = require('../routes/searchQuery');
+
+/**
+ * clause - Run one clause function on a fresh accumulator
+ * @returns {Object} { sql, values }
+ */
+function clause(fn, filters, context) {
+    const params = createQueryParams();
+    return { sql: fn(filters, params, context), values: params.values };
+}
+
+/**
+ * filtersFor - Validated filters for a request body (fails on errors)
+ */
+function filtersFor(body) {
+    const { filters, errors } = validateSearchFilters(body);
+    assert.deepStrictEqual(errors, []);
+    return filters;
+}
+
+// =============================================================================
+// VALIDATION
+// =============================================================================
+
+test('validateSearchFilters defaults to active and coming soon, first page, USD', () => {
+    const filters = filtersFor({});
+    assert.deepStrictEqual(filters.status, ['active', 'comingSoon']);
+    assert.strictEqual(filters.currency, 'USD');
+    assert.strictEqual(filters.page, 1);
+    assert.strictEqual(filters.location, null);
+});
+
+test('validateSearchFilters parses numbers, ranges and price bands', () => {
+    const filters = filtersFor({ bedrooms: '3', minArea: '100', priceRange: '100000-', maxPrice: 500000, currency: 'mxn' });
+    assert.strictEqual(filters.bedrooms, 3);
+    assert.strictEqual(filters.minArea, 100);
+    assert.strictEqual(filters.minPrice, 100000);
+    assert.strictEqual(filters.maxPrice, 500000);
+    assert.strictEqual(filters.currency, 'MXN');
+});
+
+test('validateSearchFilters rejects bad input instead of passing it on', () => {
+    const { errors } = validateSearchFilters({
+        minPrice: '-1',
+        minArea: 300,
+        maxArea: 200,
+        sort: 'id; DROP TABLE mls_properties',
+        amenities: ['pool', 'helipad'],
+        pageSize: 0
+    });
+    assert.ok(errors.some(error => error.startsWith('minPrice must be')), errors.join('\n'));
+    assert.ok(errors.includes('minArea cannot be greater than maxArea'));
+    assert.ok(errors.some(error => error.startsWith('sort must be one of')));
+    assert.ok(errors.includes('amenities contains unknown amenities: helipad'));
+    assert.ok(errors.some(error => error.startsWith('pageSize must be')));
+});
+
+// =============================================================================
+// CLAUSE FUNCTIONS
+// =============================================================================
+
+test('inactive filters add no clause', () => {
+    const filters = filtersFor({});
+    for (const fn of [locationClause, rangeClauses.price, bedroomsClause, bathroomsClause, boundsClause, featureClause, amenityClause]) {
+        assert.deepStrictEqual(clause(fn, filters), { sql: null, values: [] }, fn.name);
+    }
+});
+
+test('bedroom and bathroom minimums are parameters', () => {
+    assert.deepStrictEqual(clause(bedroomsClause, { bedrooms: 3 }), { sql: 'bedstotal >= $1', values: [3] });
+    assert.deepStrictEqual(clause(bathroomsClause, { bathrooms: 2 }), { sql: 'bathsfull >= $1', values: [2] });
+});
+
+test('range clauses bound the expression and convert currency ranges to USD', () => {
+    assert.deepStrictEqual(clause(rangeClauses.area, { minArea: 100, maxArea: 200 }), {
+        sql: 'buildingareatotal >= $1 AND buildingareatotal <= $2',
+        values: [100, 200]
+    });
+
+    const { sql, values } = clause(rangeClauses.price, { maxPrice: 2000000, currency: 'MXN' }, { rates: { USD: 1, MXN: 20 } });
+    assert.match(sql, /^\(.+\) <= \$1$/);
+    assert.deepStrictEqual(values, [100000]);
+});
+
+test('locations without a match are LIKE searches that match the text literally', () => {
+    assert.deepStrictEqual(clause(locationClause, { location: ['50%_off'] }), {
+        sql: '(city LIKE $1 OR mlsareamajor LIKE $1 OR subdivisionname LIKE $1)',
+        values: ['%50\\%\\_off%']
+    });
+});
+
+test('matched locations and group patterns use the resolved level', () => {
+    const context = {
+        locationMatches: [
+            { location: 'Pedregal', group: null, match: { subdivision: 'Pedregal' } },
+            { location: 'area:%La Paz%', group: 'All La Paz', match: null },
+            { location: '%Cabo%', group: null, match: null }
+        ]
+    };
+    assert.deepStrictEqual(clause(locationClause, { location: ['Pedregal', 'All La Paz', '%Cabo%'] }, context), {
+        sql: '(subdivisionname = $1 OR mlsareamajor LIKE $2 OR (city LIKE $3 OR mlsareamajor LIKE $3 OR subdivisionname LIKE $3))',
+        values: ['Pedregal', '%La Paz%', '%\\%Cabo\\%%']
+    });
+});
+
+test('bounds crossing the antimeridian match either side', () => {
+    const { sql, values } = clause(boundsClause, { bounds: { north: 10, south: -10, west: 170, east: -170 } });
+    assert.strictEqual(sql, 'latitude BETWEEN $1 AND $2 AND (longitude >= $3 OR longitude <= $4)');
+    assert.deepStrictEqual(values, [-10, 10, 170, -170]);
+});
+
+test('feature and amenity clauses are fixed SQL with no parameters', () => {
+    assert.deepStrictEqual(clause(featureClause, { openHouse: true, virtualTour: true }), {
+        sql: 'openhousescount > 0 AND virtualtourscount > 0',
+        values: []
+    });
+    const { sql, values } = clause(amenityClause, { amenities: ['pool'], excludeAmenities: ['furnished'] });
+    assert.match(sql, / AND NOT /);
+    assert.deepStrictEqual(values, []);
+});
+
+test('off-market listings are excluded unless an off-market status is asked for', () => {
+    assert.strictEqual(onMarketClause({ status: ['active'] }), 'off_market_at IS NULL');
+    assert.match(onMarketClause({ status: ['active', 'withdrawn'] }), /^\(off_market_at IS NULL OR .*withdrawn/);
+});
+
+test('user text only reaches the query as values', () => {
+    const text = "x' OR '1'='1";
+    const filters = filtersFor({ location: text, keyword: text });
+    const params = createQueryParams();
+    const where = buildWhereClause(filters, params);
+    assert.ok(!where.includes(text));
+    assert.ok(params.values.includes(text));
+    assert.strictEqual(Math.max(...where.match(/\$\d+/g).map(p => Number(p.slice(1)))), params.values.length);
+});
+
+// =============================================================================
+// COMBINED QUERIES (PGlite)
+// =============================================================================
+
+const db = new PGlite();
+const client = { query: (text, values) => db.query(text, values) };
+
+/**
+ * Listings the round-trip tests search: [id, bedstotal, price, city, mlsstatus, off-market]
+ */
+const LISTINGS = [
+    ['1', 2, 150000, 'La Paz', 'Active', false],
+    ['2', 3, 350000, 'La Paz', 'Active', false],
+    ['3', 4, 650000, 'Cabo San Lucas', 'Active', false],
+    ['4', 3, 300000, 'La Paz', 'Closed', false],
+    ['5', 3, 320000, 'La Paz', 'Withdrawn', true]
+];
+
+test.before(async () => {
+    const numeric = new Set(['bedstotal', 'bathsfull', 'currentpricepublic', 'buildingareatotal', 'lotsizearea', 'latitude', 'longitude', 'roomstotal', 'yearbuilt', 'photoscount', 'virtualtourscount', 'openhousescount', 'closeprice']);
+    const columns = [...new Set([...FIELD_LIST.split(',').map(column => column.trim()).filter(Boolean), ...FILTER_COLUMNS, 'modificationtimestamp'])];
+    await db.exec(`CREATE TABLE mls_properties (${columns.map(column => `${column} ${numeric.has(column) ? 'numeric' : 'text'}`).join(', ')}, off_market_at timestamptz)`);
+    await ensureSchema(client);
+    for (const [id, bedstotal, price, city, mlsstatus, offMarket] of LISTINGS) {
+        await db.query(
+            `INSERT INTO mls_properties (id, bedstotal, currentpricepublic, listingcurrency, city, mlsstatus, off_market_at, publicremarks)
+             VALUES ($1, $2, $3, 'USD', $4, $5, $6, $7)`,
+            [id, bedstotal, price, city, mlsstatus, offMarket ? new Date() : null, id === '2' ? 'Quiet house with an ocean view' : 'Garden']
+        );
+    }
+});
+
+/**
+ * search - Ids of the listings a request returns, and the matching total
+ */
+async function search(body) {
+    const filters = filtersFor(body);
+    const query = buildSearchQuery(filters);
+    const count = buildCountQuery(filters);
+    const rows = (await db.query(query.text, query.values)).rows;
+    const total = (await db.query(count.text, count.values)).rows[0].total;
+    return { ids: rows.map(row => row.id), total };
+}
+
+test('search returns on-market listings in the default statuses, priciest first', async () => {
+    assert.deepStrictEqual(await search({}), { ids: ['3', '2', '1'], total: 3 });
+});
+
+test('search combines location, bedroom and price filters', async () => {
+    assert.deepStrictEqual(await search({ location: 'La Paz', bedrooms: 3, maxPrice: 400000 }), { ids: ['2'], total: 1 });
+    assert.deepStrictEqual(await search({ location: 'La Paz', bedrooms: 3, status: 'active,sold,withdrawn' }), { ids: ['2', '5', '4'], total: 3 });
+});
+
+test('search pages through results while the total stays the same', async () => {
+    assert.deepStrictEqual(await search({ pageSize: 2, page: 2 }), { ids: ['1'], total: 3 });
+});
+
+test('keyword search matches the remarks', async () => {
+    assert.deepStrictEqual(await search({ keyword: 'ocean view' }), { ids: ['2'], total: 1 });
+});
+
+test('keyword snippets mark matches with SNIPPET_MARKERS, not HTML', async () => {
+    await db.query("UPDATE mls_properties SET publicremarks = 'Ocean view, 2 < 3 & <b>bold</b> claims' WHERE id = '1'");
+    const query = buildSearchQuery(filtersFor({ keyword: 'ocean' }));
+    const snippets = (await db.query(query.text, query.values)).rows.map(row => row.searchSnippet);
+    const marked = new RegExp(`${SNIPPET_MARKERS.start}ocean${SNIPPET_MARKERS.stop}`, 'i');
+    assert.ok(snippets.every(snippet => marked.test(snippet)), JSON.stringify(snippets));
+    assert.ok(snippets.every(snippet => !snippet.includes('<mark>')));
+});